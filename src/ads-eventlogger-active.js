@@ -0,0 +1,321 @@
+/**
+ * ads-eventlogger-active  –  Node-RED node
+ *
+ * Keeps the live table of alarms that still need attention – raised, or
+ * cleared but not confirmed yet – so an alarm banner does not have to work
+ * it out from the history on every refresh.
+ *
+ * Wiring:
+ *   Input : connect to an ads-eventlogger-subscribe output (event object format)
+ *   Output: the table (or the changes) whenever the set changes
+ *
+ * An alarm instance is identified by target + eventClass + eventId +
+ * timeRaised.  It enters the table with its first notification and leaves
+ * it when it reaches
+ *   - ClearedAndConfirmed
+ *   - Cleared, if it does not require confirmation
+ *   - Reset
+ * Messages (isAlarm false) are ignored.
+ *
+ * Output mode "table":
+ *   { topic: "eventlogger/active", payload: [alarms…], counts }
+ * Output mode "diff":
+ *   { topic: "eventlogger/active/diff",
+ *     payload: { added: [alarms…], updated: [alarms…], removed: [alarms…] },
+ *     counts }
+ * Changes within one tick (e.g. a reconnect snapshot) are sent as one
+ * message.  Alarms carry their identity `key`; the table is sorted by
+ * severity (highest first), then by timeRaised (newest first).
+ *
+ * counts:
+ *   { total, unconfirmed,
+ *     bySeverity: { Verbose, Info, Warning, Error, Critical },
+ *     byState:    { Raised: 2, Confirmed: 1, Cleared: 1 },
+ *     bySource:   { "MAIN.fbMotor1": 2, … } }
+ *
+ * Commands (msg.command or a string payload):
+ *   "getActive" → { topic: "eventlogger/active", payload: [alarms…], counts }
+ *   "getCounts" → { topic: "eventlogger/active/counts", payload: counts }
+ *   "clear"     → forget all alarms (published like any other change)
+ *
+ * Snapshot summaries (topic "eventlogger/snapshot") list the alarms active
+ * after a reconnect; alarms of that target missing from it ended while
+ * Node-RED was offline and are removed.
+ */
+
+const constants = require("./eventlogger-constants");
+
+const OUTPUT_MODES = ["table", "diff"];
+
+module.exports = function (RED) {
+  function AdsEventloggerActive(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
+    const maxActive = parseInt(config.maxActive) || 1000;
+    const outputMode = OUTPUT_MODES.includes(config.outputMode)
+      ? config.outputMode
+      : "table";
+
+    // key → merged alarm (Map order = first seen)
+    const active = new Map();
+
+    // Changes since the last published message, key → "added" | "updated" | "removed"
+    let changes = new Map();
+    let removedAlarms = new Map();
+    let pending = null;
+
+    updateStatus();
+
+    // ---- Helper: update node status --------------------------------------
+    function updateStatus() {
+      const counts = getCounts();
+      const highest = Math.max(
+        -1,
+        ...[...active.values()].map((a) => a.severityLevel ?? 0)
+      );
+      node.status({
+        fill:
+          counts.total === 0
+            ? "green"
+            : highest >= constants.SEVERITY.ERROR
+              ? "red"
+              : "yellow",
+        shape: "dot",
+        text: `${counts.total} active, ${counts.unconfirmed} unconfirmed`,
+      });
+    }
+
+    // ---- Helper: Date / ISO string / null → ISO string or null ------------
+    function toISOStr(val) {
+      if (!val) return null;
+      const date = val instanceof Date ? val : new Date(val);
+      return isNaN(date) ? String(val) : date.toISOString();
+    }
+
+    function keyOf(event) {
+      return `${event.target || ""}|${event.eventClass}|${event.eventId}|${toISOStr(event.timeRaised)}`;
+    }
+
+    function time(val) {
+      if (!val) return 0;
+      const t = val instanceof Date ? val.getTime() : new Date(val).getTime();
+      return isNaN(t) ? 0 : t;
+    }
+
+    /** Whether the alarm no longer needs attention */
+    function isFinished(alarm) {
+      switch (alarm.alarmState) {
+        case "ClearedAndConfirmed":
+        case "Reset":
+          return true;
+        case "Cleared":
+          return !alarm.confirmationRequired;
+        default:
+          return false;
+      }
+    }
+
+    function isUnconfirmed(alarm) {
+      return (
+        alarm.confirmationRequired === true &&
+        !constants.isAlarmConfirmed(alarm.alarmState)
+      );
+    }
+
+    // ---- Table and counts -------------------------------------------------
+
+    /** @returns {object[]} Alarms, highest severity first, then newest first */
+    function getActive() {
+      return [...active.values()].sort(
+        (a, b) =>
+          (b.severityLevel ?? 0) - (a.severityLevel ?? 0) ||
+          time(b.timeRaised) - time(a.timeRaised)
+      );
+    }
+
+    function getCounts() {
+      const bySeverity = {};
+      for (const name of Object.values(constants.SEVERITY_STR)) bySeverity[name] = 0;
+      const byState = {};
+      const bySource = {};
+      let unconfirmed = 0;
+
+      for (const alarm of active.values()) {
+        const severity =
+          constants.SEVERITY_STR[alarm.severityLevel] || alarm.severity || "Verbose";
+        bySeverity[severity] = (bySeverity[severity] || 0) + 1;
+        byState[alarm.alarmState] = (byState[alarm.alarmState] || 0) + 1;
+        const source = alarm.sourceName || "";
+        bySource[source] = (bySource[source] || 0) + 1;
+        if (isUnconfirmed(alarm)) unconfirmed++;
+      }
+
+      return { total: active.size, unconfirmed, bySeverity, byState, bySource };
+    }
+
+    // ---- Change tracking --------------------------------------------------
+
+    function recordChange(key, change, alarm) {
+      const previous = changes.get(key);
+      if (change === "removed") {
+        removedAlarms.set(key, alarm);
+        if (previous === "added") {
+          // Appeared and disappeared within one tick
+          changes.delete(key);
+          removedAlarms.delete(key);
+        } else {
+          changes.set(key, "removed");
+        }
+      } else if (previous === "removed") {
+        removedAlarms.delete(key);
+        changes.set(key, "updated");
+      } else if (previous !== "added") {
+        changes.set(key, change);
+      }
+
+      // One message per tick
+      if (!pending) pending = setImmediate(publish);
+    }
+
+    function publish() {
+      pending = null;
+      if (changes.size === 0) return;
+
+      const counts = getCounts();
+      if (outputMode === "diff") {
+        const diff = { added: [], updated: [], removed: [] };
+        for (const [key, change] of changes) {
+          diff[change].push(change === "removed" ? removedAlarms.get(key) : active.get(key));
+        }
+        node.send({ topic: "eventlogger/active/diff", payload: diff, counts });
+      } else {
+        node.send({ topic: "eventlogger/active", payload: getActive(), counts });
+      }
+      changes = new Map();
+      removedAlarms = new Map();
+      updateStatus();
+    }
+
+    // ---- Helper: track one event notification -----------------------------
+    function trackEvent(event) {
+      if (!event.isAlarm) return;
+
+      const key = keyOf(event);
+      const existing = active.get(key);
+      const alarm = existing
+        ? {
+            ...existing,
+            ...event,
+            // A notification never erases a timestamp that is already known
+            timeCleared: event.timeCleared || existing.timeCleared || null,
+            timeConfirmed: event.timeConfirmed || existing.timeConfirmed || null,
+            alarmState: constants.mergeAlarmState(existing.alarmState, event.alarmState),
+          }
+        : { ...event, key };
+
+      if (isFinished(alarm)) {
+        if (existing) {
+          active.delete(key);
+          recordChange(key, "removed", alarm);
+        }
+        return;
+      }
+
+      active.set(key, alarm);
+      recordChange(key, existing ? "updated" : "added", alarm);
+
+      // Drop the oldest alarm if the limit is reached
+      if (active.size > maxActive) {
+        const [oldestKey, oldest] = active.entries().next().value;
+        active.delete(oldestKey);
+        recordChange(oldestKey, "removed", oldest);
+        node.warn(`More than ${maxActive} active alarms, dropped ${oldestKey}`);
+      }
+    }
+
+    // ---- Helper: alarms that ended while offline --------------------------
+    function reconcileSnapshot(snapshot) {
+      const activeKeys = new Set((snapshot.active || []).map(keyOf));
+
+      for (const [key, alarm] of active) {
+        if (activeKeys.has(key)) continue;
+        // The snapshot only covers the target it was read from
+        if (snapshot.target && alarm.target !== snapshot.target) continue;
+        active.delete(key);
+        recordChange(key, "removed", { ...alarm, clearedWhileOffline: true });
+      }
+    }
+
+    // ---- Input handler ---------------------------------------------------
+    node.on("input", function (msg, send, done) {
+      send = send || function () { node.send.apply(node, arguments); };
+      done = done || function (err) { if (err) node.error(err, msg); };
+
+      const payload = msg.payload;
+
+      // ---- Active-alarm snapshot summary ----------------------------------
+      if (
+        msg.topic === "eventlogger/snapshot" &&
+        payload && typeof payload === "object" && payload.snapshot === true
+      ) {
+        reconcileSnapshot(payload);
+        done();
+        return;
+      }
+
+      // ---- Commands ------------------------------------------------------
+      const command =
+        typeof msg.command === "string" && msg.command !== ""
+          ? msg.command
+          : typeof payload === "string"
+            ? payload
+            : null;
+
+      if (command !== null) {
+        switch (command.toLowerCase().trim()) {
+          case "getactive":
+            send({ topic: "eventlogger/active", payload: getActive(), counts: getCounts() });
+            break;
+          case "getcounts":
+            send({ topic: "eventlogger/active/counts", payload: getCounts() });
+            break;
+          case "clear":
+            for (const [key, alarm] of active) {
+              active.delete(key);
+              recordChange(key, "removed", alarm);
+            }
+            break;
+          default:
+            done(new Error(`Unknown command "${command}"`));
+            return;
+        }
+        done();
+        return;
+      }
+
+      // ---- Event from the subscribe node --------------------------------
+      if (
+        typeof payload === "object" && payload !== null &&
+        payload.eventClass !== undefined &&
+        payload.eventId !== undefined &&
+        payload.alarmState !== undefined
+      ) {
+        trackEvent(payload);
+      }
+
+      done();
+    });
+
+    // ---- Cleanup ---------------------------------------------------------
+    node.on("close", function (done) {
+      clearImmediate(pending);
+      pending = null;
+      active.clear();
+      node.status({});
+      done();
+    });
+  }
+
+  RED.nodes.registerType("ads-eventlogger-active", AdsEventloggerActive);
+};
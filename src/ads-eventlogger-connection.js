@@ -1,21 +1,42 @@
 /**
  * ads-eventlogger-connection  –  Node-RED config node
  *
- * Manages a single ADS connection to the TwinCAT 3 EventLogger Publisher
- * (ADS port 132 by default).  Uses ads-client with rawClient: true because
- * the EventLogger is not a PLC runtime.
+ * Manages the ADS connections to one or more TwinCAT 3 EventLogger
+ * Publishers (ADS port 132 by default).  Uses ads-client with
+ * rawClient: true because the EventLogger is not a PLC runtime.
  *
- * Owns a SINGLE ADS subscription to IG=1/IO=0xFFFF.  Multiple subscribe
- * nodes share this subscription via the EventEmitter ("eventData" events).
+ * Each target (AMS Net ID, optional friendly name) gets its own session
+ * (./eventlogger-session.js): one ads-client, a SINGLE ADS subscription to
+ * IG=1/IO=0xFFFF, optional active-alarm snapshot and heartbeat watchdog.
+ * Multiple subscribe nodes share these subscriptions via the EventEmitter:
  *
- * Other nodes (e.g. ads-eventlogger-subscribe) reference this config node
- * and share the underlying ADS client instance.
+ *   "eventData"    (data, source)  – notification of one target
+ *   "stale"        (stale, source) – heartbeat watchdog of one target
+ *   "reconnecting" (info, source)  – reconnect of one target scheduled / given up
+ *   "targetState"  (state)         – connected state of one target changed
+ *   "connected"    (connected)     – at least one target connected / none
+ *
+ * `source` is { target, targetName } – the AMS Net ID and friendly name.
+ *
+ * With "Read Active Alarms" enabled, each time a subscription is
+ * (re)created the list of currently active alarms is read and emitted as
+ * one "eventData" event flagged with `snapshot: true`, so subscribers also
+ * learn about alarms raised while they were offline.  The index group of
+ * that list is not verified yet, so it is off by default.
+ *
+ * Other nodes reference this config node and share the underlying ADS
+ * client instances (getClient(target)).
+ *
+ * Diagnostics (getDiagnostics()) are also served as JSON by the admin API:
+ *   GET /ads-eventlogger-connection/:id/diagnostics
  */
 
-const ads = require("ads-client");
 const EventEmitter = require("events");
+const path = require("path");
 
 const constants = require("./eventlogger-constants");
+const { createEventClassCatalog } = require("./eventlogger-eventclasses");
+const { createTargetSession } = require("./eventlogger-session");
 
 class ConnectionEventEmitter extends EventEmitter {}
 
@@ -24,32 +45,69 @@ module.exports = function (RED) {
     RED.nodes.createNode(this, config);
 
     // ---- internal state ---------------------------------------------------
-    this.adsClient = null;
-    this.connecting = null;
-    this.retryTimer = null;
     this.eventEmitter = new ConnectionEventEmitter();
     this.connected = false;
     this.firstConnectedEventSent = false;
-
-    // Shared subscription (owned by this config node)
-    this._subscription = null;
+    this.sessions = [];         // one per target, see eventlogger-session.js
     this._subscriberCount = 0;  // how many subscribe nodes want data
-    this._subscribing = null;   // dedup promise for concurrent _subscribe() calls
 
     // ---- properties from editor -------------------------------------------
     this.name = config.name;
 
-    // Build connection settings for ads-client
+    // Watchdog: resubscribe after this many missed heartbeat intervals (0 = off)
+    this.watchdogIntervals =
+      config.watchdogIntervals === undefined || config.watchdogIntervals === ""
+        ? 3
+        : parseInt(config.watchdogIntervals) || 0;
+
+    // Active-alarm snapshot after each subscribe (unverified index group)
+    this.readActiveAlarms = config.readActiveAlarms === true;
+
+    // Event class definitions (TMC / EventClass XML) for text resolution.
+    // One path per line (or comma / semicolon separated), relative paths
+    // are resolved against the Node-RED user directory.
+    this.language = config.language || "en";
+    this.eventClassFiles = String(config.eventClassFiles || "")
+      .split(/[\r\n,;]+/)
+      .map((f) => f.trim())
+      .filter((f) => f.length > 0)
+      .map((f) => path.resolve(RED.settings.userDir || process.cwd(), f));
+
+    this.eventClasses = null;
+    if (this.eventClassFiles.length > 0) {
+      this.eventClasses = createEventClassCatalog({
+        files: this.eventClassFiles,
+        language: this.language,
+        watch: true,
+        onLoad: (file, count) =>
+          this.log(`Loaded ${count} event class(es) from ${file}`),
+        onError: (file, err) =>
+          this.warn(`Failed to load event classes from ${file}: ${err.message}`),
+      });
+    }
+
+    // Build connection settings for ads-client (shared by all targets)
     this.connectionSettings = {
-      targetAmsNetId: config.targetAmsNetId,
       targetAdsPort:
         parseInt(config.targetAdsPort) || constants.ADS_PORT_EVENTLOGGER,
       rawClient: true, // EventLogger is NOT a PLC runtime
-      autoReconnect: config.autoReconnect !== false,
-      reconnectInterval: parseInt(config.reconnectInterval) || 2000,
       timeoutDelay: parseInt(config.timeoutDelay) || 5000,
     };
 
+    // Reconnect policy (applied per target by the session)
+    this.autoReconnect = config.autoReconnect !== false;
+    this.backoff = {
+      initialInterval: parseInt(config.reconnectInterval) || 2000,
+      multiplier: parseFloat(config.reconnectMultiplier) || 2,
+      maxInterval: parseInt(config.reconnectMaxInterval) || 60000,
+      // Editor value in percent of the delay
+      jitter:
+        (config.reconnectJitter === undefined || config.reconnectJitter === ""
+          ? 20
+          : parseFloat(config.reconnectJitter) || 0) / 100,
+      maxAttempts: parseInt(config.reconnectMaxAttempts) || 0,
+    };
+
     // Optional overrides
     if (config.routerAddress) {
       this.connectionSettings.routerAddress = config.routerAddress;
@@ -70,134 +128,152 @@ module.exports = function (RED) {
       this.connectionSettings.localTcpPort = parseInt(config.localTcpPort);
     }
 
+    // ---- targets ----------------------------------------------------------
+
+    // Primary target plus the additional targets list of the editor
+    this.targets = [
+      { amsNetId: config.targetAmsNetId, name: config.targetName },
+      ...(Array.isArray(config.targets) ? config.targets : []),
+    ]
+      .map((t) => ({
+        amsNetId: String(t.amsNetId || "").trim(),
+        name: String(t.name || "").trim(),
+      }))
+      .filter((t) => t.amsNetId.length > 0)
+      .filter((t, idx, all) => all.findIndex((o) => o.amsNetId === t.amsNetId) === idx);
+
+    const multiTarget = this.targets.length > 1;
+
+    for (const target of this.targets) {
+      const label = target.name || target.amsNetId;
+      // Prefix log lines with the target when there is more than one
+      const prefix = multiTarget ? `[${label}] ` : "";
+
+      this.sessions.push(
+        createTargetSession({
+          amsNetId: target.amsNetId,
+          name: target.name,
+          settings: this.connectionSettings,
+          autoReconnect: this.autoReconnect,
+          backoff: this.backoff,
+          watchdogIntervals: this.watchdogIntervals,
+          readActiveAlarms: this.readActiveAlarms,
+          emitter: this.eventEmitter,
+          hasSubscribers: () => this._subscriberCount > 0,
+          onStateChange: (session) => this.onTargetStateChange(session),
+          formatError: (err) => this.formatError(err),
+          logger: {
+            log: (msg) => this.log(prefix + msg),
+            warn: (msg) => this.warn(prefix + msg),
+          },
+        })
+      );
+    }
+
     // ---- connection state bookkeeping -------------------------------------
 
     /**
-     * Emit a single "connected" event only when the actual state changes
-     * (ads-client may fire multiple times).
+     * A target connected / disconnected: report it, and emit a single
+     * "connected" event only when the overall state changes (at least one
+     * target connected vs. none).
      */
-    this.onConnectedStateChange = (connected) => {
+    this.onTargetStateChange = (session) => {
+      this.eventEmitter.emit("targetState", session.getState());
+
+      const connected = this.sessions.some((s) => s.isConnected());
       if (this.connected !== connected || !this.firstConnectedEventSent) {
         this.eventEmitter.emit("connected", connected);
       }
       this.connected = connected;
       this.firstConnectedEventSent = true;
-
-      // Re-subscribe / invalidate shared subscription on state change
-      if (connected) {
-        if (this._subscriberCount > 0 && !this._subscription) {
-          this._subscribe().catch((err) => {
-            this.warn(`Re-subscribe after reconnect failed: ${err.message}`);
-          });
-        }
-      } else {
-        // Subscription is invalid after disconnect
-        this._subscription = null;
-      }
     };
 
-    // ---- connect / disconnect ---------------------------------------------
+    // ---- connect ----------------------------------------------------------
 
     /**
-     * Internal connect – creates client, registers listeners, connects.
+     * Connect all targets.  Resolves when every target has been tried;
+     * rejects with the first error if none could be connected (failed
+     * targets keep retrying in the background).
      */
-    const _connect = async (silence) => {
-      if (!silence) {
-        this.log(
-          `Connecting to EventLogger at ${this.connectionSettings.targetAmsNetId}:${this.connectionSettings.targetAdsPort}...`
-        );
-      }
-
-      try {
-        // Tear down any previous session
-        if (this.adsClient) {
-          try {
-            await this.adsClient.disconnect();
-          } catch (_) {
-            /* ignore */
-          } finally {
-            this.adsClient = null;
-          }
-        }
-
-        this.adsClient = new ads.Client(this.connectionSettings);
-
-        this.adsClient.on("connect", () =>
-          this.onConnectedStateChange(true)
-        );
-        this.adsClient.on("disconnect", () =>
-          this.onConnectedStateChange(false)
-        );
-
-        const res = await this.adsClient.connect();
-
-        if (!silence) {
-          this.log(
-            `Connected to EventLogger at ${this.connectionSettings.targetAmsNetId}:${this.connectionSettings.targetAdsPort}`
-          );
-        }
-        return res;
-      } catch (err) {
-        // Schedule retry if the node hasn't been deleted
-        if (this.adsClient) {
-          const retryInterval =
-            this.connectionSettings.reconnectInterval || 2000;
-
-          if (!silence) {
-            this.log(
-              `Connecting to EventLogger at ${this.connectionSettings.targetAmsNetId}:${this.connectionSettings.targetAdsPort} failed, retrying in ${retryInterval} ms...`
-            );
-          }
-
-          this.onConnectedStateChange(false);
-          clearTimeout(this.retryTimer);
-
-          this.retryTimer = setTimeout(async () => {
-            try {
-              await this.connect(true);
-            } catch (_) {
-              /* will retry again */
-            }
-          }, retryInterval);
-        }
-        throw err;
+    this.connect = async (silence) => {
+      const results = await Promise.allSettled(
+        this.sessions.map((session) => session.connect(silence))
+      );
+      const failed = results.filter((r) => r.status === "rejected");
+      if (failed.length > 0 && failed.length === results.length) {
+        throw failed[0].reason;
       }
     };
 
     /**
-     * Public connect – deduplicates concurrent callers.
+     * Manual reconnect of a target (default: every target that is not
+     * connected), starting over with the initial backoff interval – also
+     * after the reconnect policy gave up.
      */
-    this.connect = async (silence) => {
-      clearTimeout(this.retryTimer);
-
-      let firstCall = false;
-      if (!this.connecting) {
-        this.connecting = _connect(silence);
-        firstCall = true;
-      }
-
-      try {
-        return await this.connecting;
-      } finally {
-        if (firstCall) this.connecting = null;
+    this.reconnect = async (target) => {
+      let sessions = this.sessions;
+      if (target !== undefined && target !== null && target !== "") {
+        const session = this.getSession(target);
+        if (!session) throw new Error(`Unknown target "${target}"`);
+        sessions = [session];
       }
+      await Promise.allSettled(sessions.map((s) => s.reconnect()));
     };
 
     // ---- public helpers ---------------------------------------------------
 
-    /** @returns {ads.Client|null} The underlying ads-client instance */
-    this.getClient = () => this.adsClient;
+    /**
+     * Session of a target, by AMS Net ID or friendly name.
+     * Without a target the first (primary) target is used.
+     * @returns {object|null}
+     */
+    this.getSession = (target) => {
+      if (target === undefined || target === null || target === "") {
+        return this.sessions[0] || null;
+      }
+      return (
+        this.sessions.find((s) => s.target === target) ||
+        this.sessions.find((s) => s.targetName === target) ||
+        null
+      );
+    };
+
+    /** @returns {ads.Client|null} The ads-client instance of a target (default: first) */
+    this.getClient = (target) => {
+      const session = this.getSession(target);
+      return session ? session.adsClient : null;
+    };
 
-    /** @returns {boolean} */
-    this.isConnected = () =>
-      this.adsClient !== null && this.adsClient.connection.connected;
+    /** @returns {boolean} Whether the target (default: any target) is connected */
+    this.isConnected = (target) => {
+      if (target === undefined) return this.sessions.some((s) => s.isConnected());
+      const session = this.getSession(target);
+      return session !== null && session.isConnected();
+    };
 
     /** @returns {boolean} */
-    this.isConnecting = () => this.connecting !== null;
+    this.isConnecting = () => this.sessions.some((s) => s.isConnecting());
 
     /** @returns {ConnectionEventEmitter} */
     this.getEventEmitter = () => this.eventEmitter;
 
+    /** @returns {object[]} Connected state per target */
+    this.getTargetStates = () => this.sessions.map((s) => s.getState());
+
+    /** Friendly name of a target (default: first), falls back to the AMS Net ID */
+    this.getTargetName = (target) => {
+      const session = this.getSession(target);
+      return session ? session.targetName : target;
+    };
+
+    /**
+     * Look up names and texts of an event in the configured event class
+     * files (language from the connection settings).
+     * @returns {{className, eventName, text, defaultSeverity}|null}
+     */
+    this.resolveEventText = (eventClass, eventId) =>
+      this.eventClasses ? this.eventClasses.resolve(eventClass, eventId) : null;
+
     /** Format an ads-client error for Node-RED debug panel */
     this.formatError = (err, msg) => {
       if (err.adsError) {
@@ -212,118 +288,88 @@ module.exports = function (RED) {
     // ---- shared subscription management -----------------------------------
 
     /**
-     * Called by subscribe nodes to request the shared ADS subscription.
-     * The first caller triggers the actual ADS subscribeRaw; subsequent
-     * callers just piggy-back on the existing subscription.
+     * Called by subscribe nodes to request the shared ADS subscriptions.
+     * The first caller triggers the actual ADS subscribeRaw on every
+     * connected target; subsequent callers just piggy-back on them.
+     * Targets that connect later subscribe on their own.
      */
     this.addSubscriber = async () => {
       this._subscriberCount++;
 
-      if (this._subscription) {
-        // Already subscribed — nothing to do
-        return;
-      }
-
-      if (!this.adsClient || !this.isConnected()) {
-        // Will be picked up when the "connected" event fires
-        return;
+      const results = await Promise.allSettled(
+        this.sessions
+          .filter((s) => s.isConnected() && !s._subscription)
+          .map((s) => s._subscribe())
+      );
+      const failed = results.find((r) => r.status === "rejected");
+      if (failed && !this.sessions.some((s) => s._subscription)) {
+        throw failed.reason;
       }
-
-      await this._subscribe();
     };
 
     /**
      * Called by subscribe nodes when they close/stop.
-     * When the last subscriber leaves, the ADS subscription is released.
+     * When the last subscriber leaves, the ADS subscriptions are released.
      */
     this.removeSubscriber = async () => {
       this._subscriberCount = Math.max(0, this._subscriberCount - 1);
 
-      if (this._subscriberCount === 0 && this._subscription) {
-        await this._unsubscribe();
+      if (this._subscriberCount === 0) {
+        await Promise.all(this.sessions.map((s) => s._unsubscribe()));
       }
     };
 
-    /**
-     * Internal: create the single ADS subscription.
-     * Serialised so concurrent callers share one attempt.
-     */
-    this._subscribe = async () => {
-      if (this._subscription) return;
-
-      // If already in progress, wait for the existing attempt
-      if (this._subscribing) {
-        return this._subscribing;
-      }
-
-      this._subscribing = (async () => {
-        try {
-          this._subscription = await this.adsClient.subscribeRaw(
-            constants.SUBSCRIBE_INDEX_GROUP,
-            constants.SUBSCRIBE_INDEX_OFFSET,
-            constants.SUBSCRIBE_BUFFER_SIZE,
-            (data) => {
-              // Forward raw notification data to all subscribe nodes
-              this.eventEmitter.emit("eventData", data);
-            },
-            0,      // cycleTime (ms) – 0 = immediate
-            false   // cyclic mode (NOT onChange)
-          );
-          this.log("Shared EventLogger subscription active");
-        } catch (err) {
-          this._subscription = null;
-          this.warn(`Failed to create shared subscription: ${err.message}`);
-          throw err;
-        } finally {
-          this._subscribing = null;
-        }
-      })();
-
-      return this._subscribing;
+    /** @returns {object} Heartbeat / watchdog state of a target (default: first) */
+    this.getHeartbeatInfo = (target) => {
+      const session = this.getSession(target);
+      return session ? session.getHeartbeatInfo() : null;
     };
 
     /**
-     * Internal: tear down the ADS subscription.
+     * Connection state for monitoring: totals over all targets plus the
+     * per-target details (subscription handle, traffic, heartbeat,
+     * reconnects, last ADS error).
+     * @returns {object}
      */
-    this._unsubscribe = async () => {
-      if (!this._subscription) return;
-      try {
-        await this._subscription.unsubscribe();
-        this.log("Shared EventLogger subscription removed");
-      } catch (err) {
-        this.warn(`Error removing subscription: ${err.message}`);
-      }
-      this._subscription = null;
+    this.getDiagnostics = () => {
+      const targets = this.sessions.map((s) => s.getDiagnostics());
+      const latest = (values) =>
+        values.filter((v) => v).sort((a, b) => b - a)[0] || null;
+      const lastErrors = targets.map((t) => t.lastAdsError).filter((e) => e);
+
+      return {
+        id: this.id,
+        name: this.name || "",
+        connected: this.isConnected(),
+        connecting: this.isConnecting(),
+        subscriberCount: this._subscriberCount,
+        lastEventTime: latest(targets.map((t) => t.lastEventTime)),
+        lastHeartbeat: latest(targets.map((t) => t.lastHeartbeat)),
+        eventsPerSec:
+          Math.round(targets.reduce((sum, t) => sum + t.eventsPerSec, 0) * 100) / 100,
+        reconnectCount: targets.reduce((sum, t) => sum + t.reconnectCount, 0),
+        lastAdsError:
+          lastErrors.sort((a, b) => b.time - a.time)[0] || null,
+        targets,
+      };
     };
 
     // ---- lifecycle --------------------------------------------------------
 
     this.on("close", async (_removed, done) => {
-      clearTimeout(this.retryTimer);
-
-      this.log(
-        `Disconnecting from EventLogger at ${this.connectionSettings.targetAmsNetId}:${this.connectionSettings.targetAdsPort}...`
-      );
-
-      if (this.adsClient === null) {
-        done();
-        return;
+      if (this.eventClasses) {
+        this.eventClasses.close();
       }
 
-      try {
-        await this.adsClient.disconnect(
-          !this.adsClient.connection.connected
-        );
-        this.log("Disconnected from EventLogger");
-      } catch (err) {
-        this.warn(`Disconnecting caused an error: ${err}`);
-      } finally {
-        this.adsClient = null;
-        done();
-      }
+      await Promise.all(this.sessions.map((s) => s.close()));
+      done();
     });
 
     // Auto-connect when Node-RED starts
+    if (this.sessions.length === 0) {
+      this.error("No target AMS Net ID configured");
+      return;
+    }
     this.connect().catch((err) => {
       this.warn(
         `Failed to connect to EventLogger at startup: ${err.message || err}`
@@ -335,4 +381,19 @@ module.exports = function (RED) {
     "ads-eventlogger-connection",
     AdsEventloggerConnection
   );
+
+  // ---- admin API --------------------------------------------------------
+
+  RED.httpAdmin.get(
+    "/ads-eventlogger-connection/:id/diagnostics",
+    RED.auth.needsPermission("ads-eventlogger-connection.read"),
+    (req, res) => {
+      const node = RED.nodes.getNode(req.params.id);
+      if (!node || typeof node.getDiagnostics !== "function") {
+        res.status(404).json({ error: `Connection ${req.params.id} not found` });
+        return;
+      }
+      res.json(node.getDiagnostics());
+    }
+  );
 };
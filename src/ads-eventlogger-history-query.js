@@ -0,0 +1,130 @@
+/**
+ * ads-eventlogger-history-query  –  Node-RED node
+ *
+ * Queries the event history of an ads-eventlogger-history node selected in
+ * its configuration – so the flows that read the history (dashboards,
+ * alarm journal, HTTP endpoints) can live on another tab than the flow
+ * that stores the events.
+ *
+ * Input:
+ *   msg.payload   query object (see ./eventlogger-history-query.js), empty = all
+ *   msg.command   "query" (default) or "count"
+ *
+ * Output (the input message, so HTTP request properties are kept):
+ *   query: { topic: "eventlogger/history", payload: [events…],
+ *            _count, _total, _archive? }
+ *   count: { topic: "eventlogger/history", payload: <number> }
+ *   invalid query: { payload: null, error: { code: "INVALID_QUERY", field, message } }
+ */
+
+const { QueryError } = require("./eventlogger-history-query");
+
+const COMMANDS = ["query", "count"];
+
+module.exports = function (RED) {
+  function AdsEventloggerHistoryQuery(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
+    const historyId = config.history;
+
+    // ---- guard: no history node configured --------------------------------
+    if (!historyId) {
+      node.status({
+        fill: "red",
+        shape: "ring",
+        text: "no history node configured",
+      });
+      return;
+    }
+
+    // The history node may be created after this one (other tab) – look it
+    // up when a query arrives
+    function getHistory() {
+      const history = RED.nodes.getNode(historyId);
+      if (!history || typeof history.queryEvents !== "function") {
+        throw new Error(`History node ${historyId} not found (deleted or on a disabled tab?)`);
+      }
+      return history;
+    }
+
+    // ---- input handler ----------------------------------------------------
+    node.on("input", function (msg, send, done) {
+      send = send || function () { node.send.apply(node, arguments); };
+      done = done || function (err) { if (err) node.error(err, msg); };
+
+      const command =
+        msg.command === undefined || msg.command === null || msg.command === ""
+          ? "query"
+          : String(msg.command).toLowerCase().trim();
+
+      let history;
+      try {
+        if (!COMMANDS.includes(command)) {
+          throw new Error(`Unknown command "${msg.command}"`);
+        }
+        history = getHistory();
+      } catch (err) {
+        node.status({ fill: "red", shape: "ring", text: err.message });
+        done(err);
+        return;
+      }
+
+      msg.topic = "eventlogger/history";
+
+      if (command === "count") {
+        msg.payload = history.countEvents();
+        node.status({ fill: "green", shape: "dot", text: `${msg.payload} events` });
+        send(msg);
+        done();
+        return;
+      }
+
+      const query =
+        msg.payload === undefined || msg.payload === null || msg.payload === ""
+          ? {}
+          : msg.payload;
+
+      history
+        .queryEvents(query)
+        .then((result) => {
+          msg.payload = result.events;
+          msg._query = query;
+          msg._count = result.events.length;
+          msg._total = result.total;
+          if (result.archive) msg._archive = result.archive;
+          node.status({
+            fill: "green",
+            shape: "dot",
+            text: `${result.events.length} of ${result.total} events`,
+          });
+          send(msg);
+          done();
+        })
+        .catch((err) => {
+          const invalid = err instanceof QueryError;
+          node.status({
+            fill: "red",
+            shape: "ring",
+            text: invalid ? `invalid query: ${err.field || "payload"}` : err.message,
+          });
+          if (invalid) {
+            // Answer with the structured error, not an empty list
+            msg.payload = null;
+            msg.error = err.toJSON();
+            msg._query = query;
+            send(msg);
+          }
+          done(err);
+        });
+    });
+
+    // ---- cleanup ----------------------------------------------------------
+    node.on("close", (done) => {
+      node.status({});
+      done();
+    });
+  }
+
+  RED.nodes.registerType("ads-eventlogger-history-query", AdsEventloggerHistoryQuery);
+};
@@ -5,25 +5,92 @@
  * persist across dashboard reloads and (with localfilesystem context store)
  * across Node-RED restarts.
  *
- * Wiring:
- *   Input 1 (top)  : connect to ads-eventlogger-subscribe output → stores events
- *   Input 2 (bottom): query messages → outputs matching history
+ * Events are kept in an indexed ring buffer (./eventlogger-history-store.js);
+ * the global context copy is written coalesced, at most once per
+ * `persistDelay` ms, and flushed on close.
  *
- * Query messages (send to input 2):
+ * Optionally every stored or updated event is also written to a long-term
+ * archive (./eventlogger-archive.js – daily NDJSON files or SQLite).  Queries
+ * the in-memory window cannot answer completely (see below) are read from
+ * the archive transparently.
+ *
+ * Wiring: one input for events and queries.  Connect the output of an
+ * ads-eventlogger-subscribe node to store events; send queries to the same
+ * input, or from another tab through an ads-eventlogger-history-query node
+ * that references this node.
+ *
+ * Commands – msg.command, or msg.topic when it is one of the names:
+ *   store   msg.payload is an event or a snapshot summary → stored
+ *   query   msg.payload is a query object (or empty = all) → matching events
+ *   clear   clears the in-memory history
+ *   count   number of events in the in-memory history
+ *
+ * Without a command the payload decides (kept for existing flows): objects
+ * with eventClass, eventId and alarmState are stored, so a query using all
+ * three of these properties needs the "query" command.
  *   { payload: "getAll" }                     → all stored events
  *   { payload: "getHistory" }                 → alias for getAll
  *   { payload: "clear" }                      → clears history
+ *   { payload: "count" }                      → number of stored events
  *   { payload: { severity: "Error" } }        → events with severity "Error" or higher
  *   { payload: { severityLevel: 3 } }         → same (numeric)
  *   { payload: { sourceName: "MAIN.fb..." } } → events from specific source (substring match)
- *   { payload: { alarmState: "Raised" } }     → only raised / cleared
+ *   { payload: { alarmState: "Raised" } }     → only alarms in this state
+ *   { payload: { target: "IPC1" } }           → events of one target (AMS Net ID or name)
  *   { payload: { last: 50 } }                 → last 50 events
  *   { payload: { since: "2026-02-26T10:00:00Z" } }  → events after timestamp
+ *   { payload: { sort: "severityLevel", order: "desc", offset: 0, limit: 50 } }
+ *                                             → one page, msg._total = all matches
  *
  *   Filters can be combined:
  *   { payload: { severity: "Warning", sourceName: "MAIN", last: 100 } }
+ *   The full query language is described in ./eventlogger-history-query.js.
+ *   An invalid query is answered with payload null and
+ *   msg.error = { code: "INVALID_QUERY", field, message }.
+ *
+ *   With an archive configured, a query object is answered from the archive
+ *   as well when its time range reaches past the in-memory history: `since`
+ *   older than the oldest stored event, or `until` without `since`.
+ *   { archive: true } always and { archive: false } never reads the archive.
+ *
+ * Snapshot summaries (topic "eventlogger/snapshot", sent by the subscribe
+ * node after each (re)connect) list all alarms that are active right now.
+ * Stored active alarms of the same target missing from that list were
+ * cleared while Node-RED was offline and are marked as such.
  */
 
+const path = require("path");
+
+const constants = require("./eventlogger-constants");
+const { createHistoryStore } = require("./eventlogger-history-store");
+const {
+  QueryError,
+  compileQuery,
+  selectEvents,
+  pageEvents,
+} = require("./eventlogger-history-query");
+const { createArchive } = require("./eventlogger-archive");
+
+// Explicit commands (msg.command or msg.topic)
+const COMMANDS = ["store", "query", "clear", "count"];
+
+function isEvent(payload) {
+  return (
+    typeof payload === "object" && payload !== null &&
+    payload.eventClass !== undefined && payload.eventId !== undefined
+  );
+}
+
+// Snapshot summary of the subscribe node – not one of the snapshot events
+// it sends before (those carry snapshot: true as well and are stored)
+function isSnapshot(msg) {
+  const payload = msg.payload;
+  return (
+    typeof payload === "object" && payload !== null &&
+    (msg.topic === "eventlogger/snapshot" || Array.isArray(payload.active))
+  );
+}
+
 module.exports = function (RED) {
   function AdsEventloggerHistory(config) {
     RED.nodes.createNode(this, config);
@@ -33,157 +100,219 @@ module.exports = function (RED) {
     const contextKey = config.contextKey || "eventlogger_history";
     const contextStore = config.contextStore || undefined; // default or "file"
     const passthrough = config.passthrough === true;
-
-    // Severity name → level mapping for filter comparisons
-    const SEVERITY_MAP = {
-      verbose: 0,
-      info: 1,
-      warning: 2,
-      error: 3,
-      critical: 4,
-    };
+    const persistDelay =
+      config.persistDelay === undefined || config.persistDelay === ""
+        ? 1000
+        : parseInt(config.persistDelay) || 0;
+    const archiveType = config.archiveType || "";
+    const archiveRetentionDays =
+      config.archiveRetentionDays === undefined || config.archiveRetentionDays === ""
+        ? 365
+        : parseInt(config.archiveRetentionDays) || 0;
 
     // ---- Load existing history from global context -----------------------
-    let events = node.context().global.get(contextKey, contextStore) || [];
-    if (!Array.isArray(events)) events = [];
+    const store = createHistoryStore({
+      maxEvents,
+      keyOf,
+      events: node.context().global.get(contextKey, contextStore),
+      persist: (events) => node.context().global.set(contextKey, events, contextStore),
+      persistDelay,
+      onPersistError: (err) => node.warn(`Failed to persist event history: ${err.message}`),
+    });
     updateStatus();
 
-    // ---- Helper: persist to global context --------------------------------
-    function persist() {
-      node.context().global.set(contextKey, events, contextStore);
+    // ---- Long-term archive (optional) ------------------------------------
+    let archive = null;
+    try {
+      archive = createArchive(archiveType, {
+        path: path.resolve(
+          RED.settings.userDir || process.cwd(),
+          config.archivePath || "eventlogger-archive"
+        ),
+        keyOf,
+        retentionDays: archiveRetentionDays,
+        maxFileSizeMB: config.archiveMaxFileSize,
+        maxSizeMB: config.archiveMaxSize,
+        onError: (err) => node.warn(`Event archive: ${err.message}`),
+      });
+    } catch (err) {
+      node.error(`Event archive disabled: ${err.message}`);
     }
 
     // ---- Helper: update node status --------------------------------------
     function updateStatus() {
       node.status({
-        fill: events.length >= maxEvents ? "yellow" : "green",
+        fill: store.size() >= maxEvents ? "yellow" : "green",
         shape: "dot",
-        text: `${events.length} / ${maxEvents} events`,
+        text: `${store.size()} / ${maxEvents} events`,
       });
     }
 
     // ---- Helper: normalize a date value to ISO string for comparison ------
+    // (Date, ISO / local-time string or epoch ms – see the subscribe node's
+    // timestamp format)
     function toISOStr(val) {
       if (!val) return null;
       if (val instanceof Date) return val.toISOString();
-      return String(val);
+      const date = new Date(val);
+      return isNaN(date) ? String(val) : date.toISOString();
     }
 
-    // ---- Helper: find existing event by identity key ----------------------
-    function findExistingIndex(eventPayload) {
-      // An alarm instance is uniquely identified by eventClass + eventId + timeRaised
-      const incomingTime = toISOStr(eventPayload.timeRaised);
-      for (let i = events.length - 1; i >= 0; i--) {
-        const e = events[i];
-        if (
-          e.eventClass === eventPayload.eventClass &&
-          e.eventId === eventPayload.eventId &&
-          toISOStr(e.timeRaised) === incomingTime
-        ) {
-          return i;
-        }
-      }
-      return -1;
+    // ---- Helper: identity key of an event --------------------------------
+    function keyOf(e) {
+      // An alarm instance is uniquely identified by target + eventClass +
+      // eventId + timeRaised
+      return `${e.target || ""}|${e.eventClass}|${e.eventId}|${toISOStr(e.timeRaised)}`;
+    }
+
+    // ---- Helper: store an entry in the ring buffer and the archive -------
+    function storeEvent(event) {
+      store.set(event);
+      if (archive) archive.append(event);
     }
 
     // ---- Helper: add or update an event in the ring buffer ---------------
     function addEvent(eventPayload) {
       const now = new Date().toISOString();
-      const existingIdx = findExistingIndex(eventPayload);
+      const existing = store.get(keyOf(eventPayload));
 
-      if (existingIdx >= 0) {
-        // Update existing entry (e.g. Raised → Cleared)
-        events[existingIdx] = {
-          ...events[existingIdx],
+      if (existing) {
+        // Update existing entry (e.g. Raised → Confirmed → ClearedAndConfirmed)
+        storeEvent({
+          ...existing,
           ...eventPayload,
+          // An update never erases a timestamp that is already known
+          timeCleared: eventPayload.timeCleared || existing.timeCleared || null,
+          timeConfirmed:
+            eventPayload.timeConfirmed || existing.timeConfirmed || null,
+          alarmState: constants.mergeAlarmState(
+            existing.alarmState,
+            eventPayload.alarmState
+          ),
           _receivedAt: now,
           _updatedAt: now,
-        };
+        });
       } else {
-        // New event — append
-        const entry = {
+        // New event — append (the oldest one is dropped when full)
+        storeEvent({
           ...eventPayload,
           _receivedAt: now,
-        };
-        events.push(entry);
-
-        // Trim to max size
-        if (events.length > maxEvents) {
-          events = events.slice(events.length - maxEvents);
-        }
+        });
       }
 
-      persist();
       updateStatus();
     }
 
-    // ---- Helper: filter events -------------------------------------------
-    function filterEvents(query) {
-      let result = [...events];
-
-      if (!query || typeof query !== "object") return result;
-
-      // Filter by minimum severity level
-      if (query.severity !== undefined) {
-        const minLevel =
-          typeof query.severity === "string"
-            ? SEVERITY_MAP[query.severity.toLowerCase()] ?? 0
-            : parseInt(query.severity) || 0;
-        result = result.filter((e) => (e.severityLevel ?? 0) >= minLevel);
-      }
-      if (query.severityLevel !== undefined) {
-        const minLevel = parseInt(query.severityLevel) || 0;
-        result = result.filter((e) => (e.severityLevel ?? 0) >= minLevel);
+    // ---- Helper: reconcile stored alarms with an active-alarm snapshot --
+    function reconcileSnapshot(snapshot) {
+      const activeKeys = new Set((snapshot.active || []).map(keyOf));
+      const now = new Date().toISOString();
+      let cleared = 0;
+
+      for (const e of store.toArray()) {
+        if (!e.isAlarm || !constants.isAlarmActive(e.alarmState)) continue;
+        // The snapshot only covers the target it was read from
+        if (snapshot.target && e.target !== snapshot.target) continue;
+        if (activeKeys.has(keyOf(e))) continue;
+        storeEvent({
+          ...e,
+          alarmState: constants.mergeAlarmState(e.alarmState, "Cleared"),
+          clearedWhileOffline: true,
+          _updatedAt: now,
+        });
+        cleared++;
       }
 
-      // Filter by source name (substring, case-insensitive)
-      if (query.sourceName) {
-        const search = query.sourceName.toLowerCase();
-        result = result.filter(
-          (e) => e.sourceName && e.sourceName.toLowerCase().includes(search)
-        );
+      if (cleared > 0) {
+        node.log(`${cleared} stored alarm(s) were cleared while offline`);
       }
+      updateStatus();
+    }
 
-      // Filter by alarm state
-      if (query.alarmState) {
-        const state = query.alarmState.toLowerCase();
-        result = result.filter(
-          (e) => e.alarmState && e.alarmState.toLowerCase() === state
-        );
-      }
+    // ---- Helper: does a query reach beyond the in-memory window? ---------
+    // Only `archive: true` or a time range that starts before the oldest
+    // stored event reads the archive – every other query is answered from
+    // memory, so e.g. a dashboard polling "last 50" never scans the files.
+    function readsArchive(query, events) {
+      if (!archive || query.archive === false) return false;
+      if (query.archive === true) return true;
 
-      // Filter by event ID
-      if (query.eventId !== undefined) {
-        const id = parseInt(query.eventId);
-        result = result.filter((e) => e.eventId === id);
-      }
+      const { since, until } = compileQuery(query).criteria;
+      if (since === undefined && until === undefined) return false;
+      if (events.length === 0 || since === undefined) return true;
+
+      const oldest = new Date(events[0].timeRaised).getTime();
+      return isNaN(oldest) || since < oldest;
+    }
 
-      // Filter by event class
-      if (query.eventClass) {
-        const ec = query.eventClass.toLowerCase();
-        result = result.filter(
-          (e) => e.eventClass && e.eventClass.toLowerCase() === ec
+    // ---- Query API (also used by ads-eventlogger-history-query) ---------
+
+    /**
+     * Run a history query against the in-memory history and, if it reaches
+     * beyond it, the archive.
+     * @returns {Promise<{events: object[], total: number, archive: string|null}>}
+     *          rejects with a QueryError for an invalid query
+     */
+    node.queryEvents = async (query) => {
+      query = query || {};
+      const events = store.toArray();
+      let selected = selectEvents(events, query);
+      let archiveType = null;
+
+      if (readsArchive(query, events)) {
+        const archived = await archive.query(query);
+        // The in-memory entry is the current state of an alarm
+        selected = selectEvents(
+          [...archived.filter((e) => !store.get(keyOf(e))), ...selected],
+          { last: query.last }
         );
+        archiveType = archive.type;
       }
 
-      // Filter by time (events after a given timestamp)
-      if (query.since) {
-        const sinceDate = new Date(query.since);
-        result = result.filter((e) => {
-          const t = e.timeRaised ? new Date(e.timeRaised) : null;
-          return t && t >= sinceDate;
-        });
-      }
+      const page = pageEvents(selected, query);
+      return { events: page.events, total: page.total, archive: archiveType };
+    };
+
+    /** @returns {number} Number of events in the in-memory history */
+    node.countEvents = () => store.size();
+
+    /** Clear the in-memory history (never the archive) */
+    node.clearEvents = () => {
+      store.clear();
+      updateStatus();
+      node.log("Event history cleared");
+    };
 
-      // Limit count (return last N)
-      if (query.last) {
-        const n = parseInt(query.last);
-        if (n > 0 && result.length > n) {
-          result = result.slice(result.length - n);
+    // ---- Helper: command of a message ------------------------------------
+    // Explicit: msg.command, or msg.topic "store" / "query" / "clear" /
+    // "count".  Without one the payload decides (legacy): snapshot summaries
+    // and objects with eventClass + eventId + alarmState are stored, the
+    // strings "getAll" / "getHistory" / "clear" / "count" are commands and
+    // any other object is a query.
+    function commandOf(msg) {
+      if (msg.command !== undefined && msg.command !== null && msg.command !== "") {
+        const command = String(msg.command).toLowerCase().trim();
+        if (!COMMANDS.includes(command)) {
+          throw new Error(`Unknown command "${msg.command}"`);
         }
+        return command;
+      }
+      if (typeof msg.topic === "string" && COMMANDS.includes(msg.topic.toLowerCase())) {
+        return msg.topic.toLowerCase();
       }
 
-      return result;
+      const payload = msg.payload;
+      if (isSnapshot(msg)) return "store";
+      if (typeof payload === "string") {
+        const cmd = payload.toLowerCase().trim();
+        if (cmd === "getall" || cmd === "gethistory") return "getall";
+        if (cmd === "clear" || cmd === "count") return cmd;
+        return null;
+      }
+      if (typeof payload === "object" && payload !== null) {
+        return isEvent(payload) && payload.alarmState !== undefined ? "store" : "query";
+      }
+      return null;
     }
 
     // ---- Input handler ---------------------------------------------------
@@ -191,79 +320,100 @@ module.exports = function (RED) {
       send = send || function () { node.send.apply(node, arguments); };
       done = done || function (err) { if (err) node.error(err, msg); };
 
-      // Determine which input received the message.
-      // Convention: events from subscribe node have topic "eventlogger"
-      // and contain the event payload fields.
-      // Query messages use specific payload commands.
-
+      let command;
+      try {
+        command = commandOf(msg);
+      } catch (err) {
+        done(err);
+        return;
+      }
       const payload = msg.payload;
 
-      // ---- String commands -----------------------------------------------
-      if (typeof payload === "string") {
-        const cmd = payload.toLowerCase().trim();
-
-        if (cmd === "getall" || cmd === "gethistory") {
-          send({ topic: "eventlogger/history", payload: [...events] });
+      switch (command) {
+        // ---- Store an event or an active-alarm snapshot summary ----------
+        case "store":
+          if (isSnapshot(msg)) {
+            reconcileSnapshot(payload);
+          } else if (isEvent(payload)) {
+            addEvent(payload);
+          } else {
+            done(new Error("store: msg.payload must be an event or a snapshot summary"));
+            return;
+          }
+          // Optionally pass the event through to the output
+          if (passthrough) {
+            send(msg);
+          }
           done();
           return;
+
+        // ---- Query ---------------------------------------------------------
+        case "query": {
+          const query =
+            payload === undefined || payload === null || payload === "" ? {} : payload;
+          node
+            .queryEvents(query)
+            .then((result) => {
+              const response = {
+                topic: "eventlogger/history",
+                payload: result.events,
+                _query: query,
+                _count: result.events.length,
+                _total: result.total,
+              };
+              if (result.archive) response._archive = result.archive;
+              send(response);
+              done();
+            })
+            .catch((err) => {
+              if (err instanceof QueryError) {
+                // Invalid query — answer with the structured error, not an empty list
+                send({
+                  topic: "eventlogger/history",
+                  payload: null,
+                  error: err.toJSON(),
+                  _query: query,
+                });
+              }
+              done(err);
+            });
+          return;
         }
 
-        if (cmd === "clear") {
-          events = [];
-          persist();
-          updateStatus();
-          node.log("Event history cleared");
+        case "getall":
+          send({ topic: "eventlogger/history", payload: store.toArray() });
           done();
           return;
-        }
 
-        if (cmd === "count") {
-          send({ topic: "eventlogger/history", payload: events.length });
+        case "count":
+          send({ topic: "eventlogger/history", payload: store.size() });
           done();
           return;
-        }
-      }
 
-      // ---- Query object ---------------------------------------------------
-      if (typeof payload === "object" && payload !== null) {
-        // Is this an event from the subscribe node? Check for event-specific fields.
-        if (
-          payload.eventClass !== undefined &&
-          payload.eventId !== undefined &&
-          payload.alarmState !== undefined
-        ) {
-          // This is an event — store it
-          addEvent(payload);
-          // Optionally pass the event through to the output
-          if (passthrough) {
-            send(msg);
-          }
+        case "clear":
+          node.clearEvents();
           done();
           return;
-        }
 
-        // Otherwise treat as a query
-        const result = filterEvents(payload);
-        send({
-          topic: "eventlogger/history",
-          payload: result,
-          _query: payload,
-          _count: result.length,
-        });
-        done();
-        return;
+        default:
+          // Unrecognised input — ignored
+          done();
       }
-
-      // Unrecognised input — pass through
-      done();
     });
 
     // ---- Cleanup ---------------------------------------------------------
     node.on("close", function (done) {
       // Ensure latest state is persisted
-      persist();
+      store.close();
       node.status({});
-      done();
+      if (!archive) {
+        done();
+        return;
+      }
+      archive
+        .close()
+        .catch((err) => node.warn(`Event archive: ${err.message}`))
+        .then(() => done());
     });
   }
 
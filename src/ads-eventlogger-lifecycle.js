@@ -0,0 +1,277 @@
+/**
+ * ads-eventlogger-lifecycle  –  Node-RED node
+ *
+ * Stitches the notifications of an alarm (Raised → Confirmed → Cleared …)
+ * together and emits one lifecycle record per alarm once it is finished –
+ * the basis for KPIs such as time-to-clear and time-to-confirm.
+ *
+ * Wiring:
+ *   Input : connect to an ads-eventlogger-subscribe output (event object format)
+ *   Output: one lifecycle record per finished alarm
+ *
+ * An alarm instance is identified by target + eventClass + eventId +
+ * timeRaised.
+ * It is finished when its state – merged with the states seen before, as
+ * notifications may arrive out of order – reaches
+ *   - ClearedAndConfirmed
+ *   - Cleared, if it does not require confirmation
+ *   - Reset
+ * Late notifications of a recently finished alarm are ignored.
+ *
+ * Lifecycle record:
+ *   { topic: "eventlogger/lifecycle",
+ *     payload: { target, targetName,
+ *                eventClass, eventId, sourceName, severity, severityLevel,
+ *                className, eventName, message,
+ *                timeRaised, timeCleared, timeConfirmed,
+ *                activeDurationMs,       // raised → cleared
+ *                unconfirmedDurationMs,  // raised → confirmed (null if not required)
+ *                changes,                // notifications between first and final one
+ *                finalState,             // ClearedAndConfirmed / Cleared / Reset
+ *                complete } }            // false if cleared while offline
+ *
+ * Commands:
+ *   { payload: "getInFlight" } → { topic: "eventlogger/lifecycle/inflight", payload: [...] }
+ *   { payload: "clear" }       → forget all in-flight alarms
+ *
+ * Snapshot summaries (topic "eventlogger/snapshot") list the alarms active
+ * after a reconnect; in-flight alarms of that target missing from it were
+ * cleared while Node-RED was offline and are emitted with complete: false.
+ */
+
+const constants = require("./eventlogger-constants");
+
+module.exports = function (RED) {
+  function AdsEventloggerLifecycle(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
+    const maxInFlight = parseInt(config.maxInFlight) || 1000;
+
+    // key → { first, last, changes, timeCleared, timeConfirmed }
+    const inFlight = new Map();
+    // Keys of recently finished alarms (Map order = finished first), so a
+    // late notification does not open a new in-flight entry
+    const finished = new Map();
+    updateStatus();
+
+    // ---- Helper: update node status --------------------------------------
+    function updateStatus() {
+      node.status({
+        fill: inFlight.size >= maxInFlight ? "yellow" : "green",
+        shape: "dot",
+        text: `${inFlight.size} in flight`,
+      });
+    }
+
+    // ---- Helper: Date / ISO string / null → Date or null ------------------
+    function toDate(val) {
+      if (!val) return null;
+      const date = val instanceof Date ? val : new Date(val);
+      return isNaN(date) ? null : date;
+    }
+
+    function toISOStr(val) {
+      const date = toDate(val);
+      return date ? date.toISOString() : null;
+    }
+
+    function keyOf(event) {
+      return `${event.target || ""}|${event.eventClass}|${event.eventId}|${toISOStr(event.timeRaised)}`;
+    }
+
+    function duration(from, to) {
+      return from && to ? to.getTime() - from.getTime() : null;
+    }
+
+    /** Whether the alarm has reached the end of its lifecycle */
+    function isFinished(event) {
+      switch (event.alarmState) {
+        case "ClearedAndConfirmed":
+        case "Reset":
+          return true;
+        case "Cleared":
+          return !event.confirmationRequired;
+        default:
+          return false;
+      }
+    }
+
+    // ---- Helper: build the lifecycle record -------------------------------
+    function buildRecord(state, finalState, complete) {
+      const last = state.last;
+      const timeRaised = toDate(last.timeRaised || state.first.timeRaised);
+      // A notification never erases a timestamp that was already known
+      const timeCleared = toDate(last.timeCleared) || state.timeCleared;
+      const timeConfirmed = toDate(last.timeConfirmed) || state.timeConfirmed;
+
+      return {
+        target: last.target,
+        targetName: last.targetName,
+        eventClass: last.eventClass,
+        eventId: last.eventId,
+        sourceName: last.sourceName,
+        severity: last.severity,
+        severityLevel: last.severityLevel,
+        className: last.className,
+        eventName: last.eventName,
+        message: last.formattedMessage || last.message,
+        timeRaised,
+        timeCleared,
+        timeConfirmed,
+        activeDurationMs: duration(timeRaised, timeCleared),
+        unconfirmedDurationMs: last.confirmationRequired
+          ? duration(timeRaised, timeConfirmed)
+          : null,
+        changes: state.changes,
+        finalState,
+        complete,
+      };
+    }
+
+    // ---- Helper: track one event notification -----------------------------
+    function trackEvent(event) {
+      if (!event.isAlarm) return null;
+
+      const key = keyOf(event);
+      // Merged with a finished state the alarm stays finished
+      if (finished.has(key)) return null;
+
+      let state = inFlight.get(key);
+      if (!state) {
+        state = {
+          first: event,
+          last: event,
+          changes: 0,
+          timeCleared: null,
+          timeConfirmed: null,
+        };
+      } else {
+        state.changes++;
+        // The lifecycle never moves backwards (late Raised after Cleared …)
+        state.last = {
+          ...event,
+          alarmState: constants.mergeAlarmState(state.last.alarmState, event.alarmState),
+        };
+      }
+      state.timeCleared = toDate(event.timeCleared) || state.timeCleared;
+      state.timeConfirmed = toDate(event.timeConfirmed) || state.timeConfirmed;
+
+      if (isFinished(state.last)) {
+        inFlight.delete(key);
+        rememberFinished(key);
+        // Changes between the first and the final notification
+        state.changes = Math.max(0, state.changes - 1);
+        return buildRecord(state, state.last.alarmState, true);
+      }
+
+      inFlight.delete(key); // re-insert to keep Map order = last activity
+      inFlight.set(key, state);
+
+      // Drop the least recently updated alarm if the limit is reached
+      if (inFlight.size > maxInFlight) {
+        const oldest = inFlight.keys().next().value;
+        inFlight.delete(oldest);
+        node.warn(`More than ${maxInFlight} alarms in flight, dropped ${oldest}`);
+      }
+      return null;
+    }
+
+    /** Keep the last `maxInFlight` finished keys */
+    function rememberFinished(key) {
+      finished.set(key, true);
+      if (finished.size > maxInFlight) {
+        finished.delete(finished.keys().next().value);
+      }
+    }
+
+    // ---- Helper: alarms that disappeared while offline --------------------
+    function reconcileSnapshot(snapshot) {
+      const activeKeys = new Set((snapshot.active || []).map(keyOf));
+      const records = [];
+
+      for (const [key, state] of inFlight) {
+        if (activeKeys.has(key)) continue;
+        // The snapshot only covers the target it was read from
+        if (snapshot.target && state.last.target !== snapshot.target) continue;
+        inFlight.delete(key);
+        rememberFinished(key);
+        records.push(buildRecord(state, "Cleared", false));
+      }
+      return records;
+    }
+
+    // ---- Input handler ---------------------------------------------------
+    node.on("input", function (msg, send, done) {
+      send = send || function () { node.send.apply(node, arguments); };
+      done = done || function (err) { if (err) node.error(err, msg); };
+
+      const payload = msg.payload;
+
+      // ---- Active-alarm snapshot summary ----------------------------------
+      if (
+        msg.topic === "eventlogger/snapshot" &&
+        payload && typeof payload === "object" && payload.snapshot === true
+      ) {
+        const records = reconcileSnapshot(payload);
+        for (const record of records) {
+          send({ topic: "eventlogger/lifecycle", payload: record });
+        }
+        updateStatus();
+        done();
+        return;
+      }
+
+      // ---- String commands -----------------------------------------------
+      if (typeof payload === "string") {
+        const cmd = payload.toLowerCase().trim();
+
+        if (cmd === "getinflight") {
+          send({
+            topic: "eventlogger/lifecycle/inflight",
+            payload: [...inFlight.values()].map((state) => ({
+              ...state.last,
+              changes: state.changes,
+            })),
+          });
+          done();
+          return;
+        }
+
+        if (cmd === "clear") {
+          inFlight.clear();
+          finished.clear();
+          updateStatus();
+          done();
+          return;
+        }
+      }
+
+      // ---- Event from the subscribe node --------------------------------
+      if (
+        typeof payload === "object" && payload !== null &&
+        payload.eventClass !== undefined &&
+        payload.eventId !== undefined &&
+        payload.alarmState !== undefined
+      ) {
+        const record = trackEvent(payload);
+        if (record) {
+          send({ topic: "eventlogger/lifecycle", payload: record });
+        }
+        updateStatus();
+      }
+
+      done();
+    });
+
+    // ---- Cleanup ---------------------------------------------------------
+    node.on("close", function (done) {
+      inFlight.clear();
+      finished.clear();
+      node.status({});
+      done();
+    });
+  }
+
+  RED.nodes.registerType("ads-eventlogger-lifecycle", AdsEventloggerLifecycle);
+};
@@ -0,0 +1,141 @@
+/**
+ * ads-eventlogger-status  –  Node-RED node
+ *
+ * Reports the diagnostics of an ads-eventlogger-connection config node
+ * whenever its state changes – for monitoring flows that alert on a
+ * connection that went quiet.
+ *
+ * Emits on:
+ *   - connected / disconnected (any target)
+ *   - reconnect scheduled / given up
+ *   - heartbeat watchdog fired / recovered
+ *   - any input message (e.g. an inject node polling every minute)
+ *
+ * Output:
+ *   { topic: "eventlogger/status", event,
+ *     payload: { connected, connecting, subscriberCount, lastEventTime,
+ *                lastHeartbeat, eventsPerSec, reconnectCount, lastAdsError,
+ *                targets: [ { target, targetName, connected, subscribed,
+ *                             subscriptionHandle, stale, eventCount, … } ] } }
+ *
+ * `event` names the trigger: "connected", "disconnected", "targetState",
+ * "reconnecting", "stale" or "poll".  The same JSON is served by the admin
+ * API at GET /ads-eventlogger-connection/:id/diagnostics.
+ */
+
+const { retryStatusText } = require("./eventlogger-backoff");
+
+module.exports = function (RED) {
+  function AdsEventloggerStatus(config) {
+    RED.nodes.createNode(this, config);
+
+    const node = this;
+
+    // Editor properties
+    node.connection = RED.nodes.getNode(config.connection);
+
+    // ---- guard: no connection configured ----------------------------------
+    if (!node.connection) {
+      node.status({
+        fill: "red",
+        shape: "ring",
+        text: "no connection configured",
+      });
+      return;
+    }
+
+    const eventEmitter = node.connection.getEventEmitter();
+
+    // ---- output -----------------------------------------------------------
+
+    // State changes often come in bursts (targetState + connected) – one
+    // message per tick, named after the first trigger
+    let pending = null;
+    let lastRetry = null;   // last "reconnecting" info while nothing is connected
+
+    function report(event) {
+      if (pending) return;
+      pending = setImmediate(() => {
+        pending = null;
+        const diagnostics = node.connection.getDiagnostics();
+        updateStatus(diagnostics);
+        node.send({ topic: "eventlogger/status", event, payload: diagnostics });
+      });
+    }
+
+    function updateStatus(diagnostics) {
+      const targets = diagnostics.targets;
+      const up = targets.filter((t) => t.connected).length;
+      if (up > 0) lastRetry = null;
+
+      let text;
+      if (up === 0 && lastRetry) {
+        text = retryStatusText(lastRetry);
+      } else if (targets.length > 1) {
+        text = `${up}/${targets.length} targets, ${diagnostics.eventsPerSec} ev/s`;
+      } else {
+        text = `${up > 0 ? "connected" : "disconnected"}, ${diagnostics.eventsPerSec} ev/s`;
+      }
+
+      node.status({
+        fill: up === targets.length ? "green" : up > 0 ? "yellow" : "red",
+        shape: "ring",
+        text,
+      });
+    }
+
+    // ---- connection events ------------------------------------------------
+
+    function onConnectionStateChange(connected) {
+      report(connected ? "connected" : "disconnected");
+    }
+
+    function onTargetStateChange() {
+      report("targetState");
+    }
+
+    function onReconnecting(info) {
+      lastRetry = info;
+      report("reconnecting");
+    }
+
+    function onStale() {
+      report("stale");
+    }
+
+    eventEmitter.on("connected", onConnectionStateChange);
+    eventEmitter.on("targetState", onTargetStateChange);
+    eventEmitter.on("reconnecting", onReconnecting);
+    eventEmitter.on("stale", onStale);
+
+    updateStatus(node.connection.getDiagnostics());
+
+    // ---- input handler ----------------------------------------------------
+    node.on("input", function (msg, send, done) {
+      send = send || function () { node.send.apply(node, arguments); };
+      done = done || function (err) { if (err) node.error(err, msg); };
+
+      const diagnostics = node.connection.getDiagnostics();
+      updateStatus(diagnostics);
+      msg.topic = "eventlogger/status";
+      msg.event = "poll";
+      msg.payload = diagnostics;
+      send(msg);
+      done();
+    });
+
+    // ---- cleanup ----------------------------------------------------------
+    node.on("close", (done) => {
+      clearImmediate(pending);
+      pending = null;
+      eventEmitter.removeListener("connected", onConnectionStateChange);
+      eventEmitter.removeListener("targetState", onTargetStateChange);
+      eventEmitter.removeListener("reconnecting", onReconnecting);
+      eventEmitter.removeListener("stale", onStale);
+      node.status({});
+      done();
+    });
+  }
+
+  RED.nodes.registerType("ads-eventlogger-status", AdsEventloggerStatus);
+};
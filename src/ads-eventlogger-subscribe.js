@@ -2,44 +2,62 @@
  * ads-eventlogger-subscribe  –  Node-RED node
  *
  * Subscribes to TwinCAT 3 EventLogger notifications via ADS and outputs
- * parsed event / alarm objects on its single output.
+ * parsed event / alarm objects.  Depending on the output mode, events go to
+ * a single output, to one output per severity (Verbose … Critical) or to
+ * one output per alarm state (Raised / Cleared / Confirmed / messages).
+ * Control messages (snapshot, chattering and flood summaries, getFilter
+ * replies) share the output in single mode and get an extra last output
+ * in the other modes, so they never mix with the events of one output.
  *
  * Protocol (discovered via packet capture analysis):
  *   - ADS Port: 132 (EventLogger Publisher V2)
  *   - Subscribe: IG=1, IO=0xFFFF, size=4096, cyclic mode, 0ms cycle time
- *   - Notifications come in two flavours:
+ *   - Notifications carry one or more entries back to back (sized by the
+ *     header payloadSize), in two flavours:
  *       a) Heartbeat (16 bytes) – periodic status, no event data
  *       b) Event entry (183+ bytes) – alarm raise / clear / change
  *
- * Binary event layout (verified against live TwinCAT 3.1 Build 4026):
+ * msg.topic is rendered from a template with {field} placeholders and the
+ * payload can be converted to a flat or ISA-18.2 style object, see
+ * ./eventlogger-format.js.
  *
- *   Offset | Size  | Field
- *   -------|-------|-----------------------------------
- *   0      | 4     | version          (always 1)
- *   4      | 2     | messageType      (1=raised, 2=changed, 10=heartbeat)
- *   6      | 2     | source hint      (variable, informational)
- *   8      | 4     | payloadSize      (size of data after this field)
- *   12     | 16    | eventClass       (GUID, mixed-endian)
- *   28     | 4     | eventId
- *   32     | 4     | flags            (varies, not severity)
- *   36     | 1     | severity         (0=Verbose,1=Info,2=Warning,3=Error,4=Critical)
- *   37     | 3     | reserved
- *   40     | 4     | eventKind        (2 = alarm)
- *   44     | 4     | totalSize        (0x78 = 120)
- *   48     | 4     | field48          (0x2F = 47)
- *   52     | 1     | raisedFlag       (1=raised, 0=cleared/confirmed)
- *   53     | 3     | flags bytes
- *   56     | 4     | field56
- *   60     | 8     | timeRaised       (FILETIME)
- *   68     | 8     | timeCleared      (FILETIME, 0 = n/a)
- *   76     | 8     | timeConfirmed    (FILETIME, 0 = n/a)
- *   84..   | var   | structure data + string table
- *   ~152   | 4     | sourceNameLen    (incl. null terminator)
- *   ~160   | var   | sourceName       (ASCII, null-terminated)
- *   …      | var   | message data     (may be truncated)
+ * Chattering alarms and alarm floods can be suppressed (summary / rollup
+ * messages instead of the individual events), see
+ * ./eventlogger-suppression.js.
+ *
+ * Control messages on the input change the filter at runtime (setFilter,
+ * addRule, removeRule, getFilter, pause, resume) – see the input handler.
+ *
+ * The binary event layout is decoded by ./eventlogger-parser.js, which
+ * holds the layouts for the supported TwinCAT builds.  Entries whose header
+ * version has no registered layout are dropped with an error status.
  */
 
 const constants = require("./eventlogger-constants");
+const parser = require("./eventlogger-parser");
+const { compileRules } = require("./eventlogger-filter");
+const format = require("./eventlogger-format");
+const { createSuppressor } = require("./eventlogger-suppression");
+const { retryStatusText } = require("./eventlogger-backoff");
+
+/**
+ * Output index per alarm state for outputMode "state".
+ * Plain messages (no alarm state) go to output 3.
+ */
+const STATE_OUTPUT = {
+  [constants.ALARM_STATE_STR[constants.ALARM_STATE.RAISED]]: 0,
+  [constants.ALARM_STATE_STR[constants.ALARM_STATE.CLEARED]]: 1,
+  [constants.ALARM_STATE_STR[constants.ALARM_STATE.RESET]]: 1,
+  [constants.ALARM_STATE_STR[constants.ALARM_STATE.CONFIRMED]]: 2,
+  [constants.ALARM_STATE_STR[constants.ALARM_STATE.CLEARED_AND_CONFIRMED]]: 2,
+};
+const STATE_OUTPUT_MESSAGE = 3;
+
+// Control commands that may also be sent as a plain string payload
+const STRING_COMMANDS = ["pause", "resume", "getFilter"];
+
+/** Number of event outputs per output mode (the control output follows) */
+const EVENT_OUTPUTS = { single: 1, severity: 5, state: 4 };
 
 module.exports = function (RED) {
   function AdsEventloggerSubscribe(config) {
@@ -50,6 +68,22 @@ module.exports = function (RED) {
     // Editor properties
     node.connection = RED.nodes.getNode(config.connection);
     node.minSeverity = parseInt(config.minSeverity) || 0;
+    node.rules = Array.isArray(config.rules) ? config.rules : [];
+    node.outputMode = ["severity", "state"].includes(config.outputMode)
+      ? config.outputMode
+      : "single";
+    node.topicTemplate = config.topic || "eventlogger";
+    node.payloadFormat = format.PAYLOAD_FORMATS.includes(config.payloadFormat)
+      ? config.payloadFormat
+      : "default";
+    node.timestampFormat = format.TIMESTAMP_FORMATS.includes(config.timestampFormat)
+      ? config.timestampFormat
+      : "date";
+    node.timeZone = config.timeZone || "UTC";
+    node.preciseTimestamps = config.preciseTimestamps === true;
+    node.chatterCycles = parseInt(config.chatterCycles) || 0;
+    node.chatterWindow = (parseFloat(config.chatterWindow) || 10) * 1000;
+    node.floodLimit = parseInt(config.floodLimit) || 0;
 
     // ---- guard: no connection configured ----------------------------------
     if (!node.connection) {
@@ -63,139 +97,178 @@ module.exports = function (RED) {
 
     const eventEmitter = node.connection.getEventEmitter();
 
-    // ---- binary parser ----------------------------------------------------
+    if (node.timestampFormat === "local") {
+      try {
+        format.validateTimeZone(node.timeZone);
+      } catch (err) {
+        node.error(`Invalid time zone "${node.timeZone}", using UTC`);
+        node.timeZone = "UTC";
+      }
+    }
 
-    /** Minimum size for a valid event entry (header + GUID + timestamps) */
-    const MIN_EVENT_SIZE = 84;
+    // Include / exclude rules (see eventlogger-filter.js)
+    try {
+      node.filter = compileRules(node.rules);
+    } catch (err) {
+      node.error(`Invalid filter rules, passing all events: ${err.message}`);
+      node.rules = [];
+      node.filter = compileRules([]);
+    }
 
-    /** Size of a heartbeat notification */
-    const HEARTBEAT_SIZE = 16;
+    // Paused via control message: events are dropped until "resume"
+    node.paused = false;
+    node.subscribed = false;
+
+    // Header versions without a registered layout (reported once each)
+    const unsupportedVersions = new Set();
+
+    // Chattering / flood suppression; summaries go to the control output
+    node.suppressor = createSuppressor({
+      chatterCycles: node.chatterCycles,
+      chatterWindow: node.chatterWindow,
+      floodLimit: node.floodLimit,
+      onChatterStart: (info) =>
+        sendControl({ topic: "eventlogger/chattering", payload: info }),
+      onChatterEnd: (info, lastEntry) => {
+        sendControl({ topic: "eventlogger/chattering", payload: info });
+        // Downstream nodes still need the state the alarm settled in, unless
+        // the node is paused or the event is filtered out
+        if (lastEntry && passesFilter(lastEntry)) emitEvent(lastEntry);
+      },
+      onFloodStart: (info) => {
+        node.warn(`Alarm flood: more than ${info.limit} events/s, suppressing`);
+      },
+      onFloodEnd: (rollup) =>
+        sendControl({ topic: "eventlogger/flood", payload: rollup }),
+    });
+
+    // ---- output -----------------------------------------------------------
 
     /**
-     * Parse a single event entry from a Buffer.
-     * Returns an object or null on failure.
+     * Output index for an event according to the output mode:
+     *   single   → 0
+     *   severity → severityLevel (0 = Verbose … 4 = Critical)
+     *   state    → 0 Raised, 1 Cleared / Reset, 2 Confirmed /
+     *              ClearedAndConfirmed, 3 plain messages
      */
-    function parseEventEntry(data) {
-      if (!Buffer.isBuffer(data) || data.length < MIN_EVENT_SIZE) {
-        node.warn(
-          `Event data too short (${data.length} bytes, need >= ${MIN_EVENT_SIZE})`
-        );
-        return null;
+    function outputIndex(entry) {
+      switch (node.outputMode) {
+        case "severity":
+          return Math.min(Math.max(entry.severityLevel, 0), 4);
+        case "state":
+          if (!entry.isAlarm || !(entry.alarmState in STATE_OUTPUT)) {
+            return STATE_OUTPUT_MESSAGE;
+          }
+          return STATE_OUTPUT[entry.alarmState];
+        default:
+          return 0;
       }
+    }
 
-      const entry = {};
+    /**
+     * Send a message on output `index` (the others get null).
+     * @param {function} [send] send() of the input handler, default node.send
+     */
+    function sendTo(index, msg, send = node.send.bind(node)) {
+      if (index === 0) {
+        send(msg);
+      } else {
+        const outputs = new Array(index + 1).fill(null);
+        outputs[index] = msg;
+        send(outputs);
+      }
+    }
 
-      // ---- header (bytes 0-11) -------------------------------------------
-      entry.version = data.readUInt32LE(0);
-      entry.messageType = data.readUInt16LE(4);
-      entry.payloadSize = data.readUInt32LE(8);
+    /**
+     * Send a control message (summary, filter state): on the only output in
+     * single mode, otherwise on the extra output after the event outputs.
+     */
+    function sendControl(msg, send) {
+      sendTo(node.outputMode === "single" ? 0 : EVENT_OUTPUTS[node.outputMode], msg, send);
+    }
 
-      // ---- event identity (bytes 12-31) ----------------------------------
-      entry.eventClass = constants.parseGuid(data, 12);
-      entry.eventId = data.readUInt32LE(28);
+    /** Whether an event passes the pause state, severity filter and rules */
+    function passesFilter(entry) {
+      if (node.paused) return false;
 
-      // ---- severity (byte 36) ---------------------------------------------
-      // Severity is a UINT8 at offset 36 (0=Verbose, 1=Info, 2=Warning, 3=Error, 4=Critical)
-      const severityRaw = data.readUInt8(36);
-      entry.severityRaw = severityRaw;
-      if (severityRaw <= 4) {
-        entry.severityLevel = severityRaw;
-        entry.severity = constants.SEVERITY_STR[severityRaw] || `Unknown(${severityRaw})`;
-      } else {
-        // Use Verbose as fallback for unrecognised values
-        entry.severityLevel = 0;
-        entry.severity = "Verbose";
-      }
+      // Severity filter
+      if (entry.severityLevel < node.minSeverity) return false;
 
-      // ---- alarm fields (bytes 36-83) ------------------------------------
-      entry.eventKind = data.readUInt32LE(40);
-      entry.isAlarm = entry.eventKind === 2;
+      // Include / exclude rules
+      return node.filter.matches(entry);
+    }
 
-      // Raised flag: byte 52 (1=raised, 0=cleared/confirmed)
-      const raisedFlag = data.readUInt8(52);
-      if (raisedFlag === 1) {
-        entry.alarmState = "Raised";
-        entry.alarmStateValue = constants.ALARM_STATE.RAISED;
-      } else {
-        entry.alarmState = "Cleared";
-        entry.alarmStateValue = constants.ALARM_STATE.CLEARED;
-      }
+    /**
+     * Filter an event and send it, unless it is suppressed as chattering
+     * alarm or during an alarm flood.
+     */
+    function sendEvent(entry) {
+      if (!passesFilter(entry)) return;
 
-      // ---- timestamps (bytes 60-83) --------------------------------------
-      entry.timeRaised = constants.parseFileTime(data, 60);
-      entry.timeCleared = constants.parseFileTime(data, 68);
-      entry.timeConfirmed = constants.parseFileTime(data, 76);
-
-      // ---- source name (scan for ASCII string near end of data) ----------
-      entry.sourceName = "";
-      entry.message = "";
-
-      // The source name is an ASCII null-terminated string.
-      // Its length is at offset 152 (UINT32), and it starts at the
-      // offset indicated by the string table.  We scan for it by
-      // looking for the longest printable string in the tail section.
-      if (data.length > 128) {
-        const strings = findAsciiStrings(data, 128);
-        if (strings.length >= 1) {
-          entry.sourceName = strings[0].text;
-        }
-        if (strings.length >= 2) {
-          entry.message = strings[1].text;
-        }
-      }
+      // Chattering / flood suppression
+      if (!node.suppressor.check(entry)) return;
 
-      return entry;
+      emitEvent(entry);
+    }
+
+    /** Date → configured timestamp format */
+    function formatTime(date) {
+      return format.formatTimestamp(date, node.timestampFormat, node.timeZone);
     }
 
     /**
-     * Find ASCII strings (>= 3 printable chars) in a buffer region.
+     * Full-resolution variants of the timestamps, computed from the raw
+     * FILETIME ticks: timeRaisedIsoNs ("…22.400123400Z") and
+     * timeRaisedEpochUs (1772098582400123), same for Cleared / Confirmed.
      */
-    function findAsciiStrings(buf, startOffset) {
-      const strings = [];
-      let start = -1;
-      for (let i = startOffset; i < buf.length; i++) {
-        if (buf[i] >= 0x20 && buf[i] < 0x7f) {
-          if (start === -1) start = i;
-        } else {
-          if (start !== -1 && i - start >= 3) {
-            strings.push({ offset: start, text: buf.toString("ascii", start, i) });
-          }
-          start = -1;
-        }
-      }
-      if (start !== -1 && buf.length - start >= 3) {
-        strings.push({ offset: start, text: buf.toString("ascii", start, buf.length) });
+    function addPreciseTimestamps(payload, entry) {
+      for (const field of ["timeRaised", "timeCleared", "timeConfirmed"]) {
+        const ticks = entry[`${field}Ticks`];
+        payload[`${field}IsoNs`] = ticks ? constants.fileTimeTicksToIsoNs(ticks) : null;
+        payload[`${field}EpochUs`] = ticks ? constants.fileTimeTicksToEpochUs(ticks) : null;
       }
-      return strings;
     }
 
-    // ---- output -----------------------------------------------------------
-
     /**
-     * Build a Node-RED msg from a parsed event and send it on output 0.
+     * Build a Node-RED msg from a parsed event and send it on the output
+     * selected by the output mode.
      */
-    function sendEvent(entry) {
-      // Severity filter
-      if (entry.severityLevel < node.minSeverity) return;
+    function emitEvent(entry) {
+      const payload = {
+        eventClass: entry.eventClass,
+        eventId: entry.eventId,
+        severity: entry.severity,
+        severityLevel: entry.severityLevel,
+        timeRaised: formatTime(entry.timeRaised),
+        timeCleared: formatTime(entry.timeCleared),
+        timeConfirmed: formatTime(entry.timeConfirmed),
+        timeRaisedTicks: entry.timeRaisedTicks,
+        timeClearedTicks: entry.timeClearedTicks,
+        timeConfirmedTicks: entry.timeConfirmedTicks,
+        alarmState: entry.alarmState,
+        confirmationRequired: entry.confirmationRequired,
+        isAlarm: entry.isAlarm,
+        sourceName: entry.sourceName,
+        message: entry.message,
+        className: entry.className,
+        eventName: entry.eventName,
+        text: entry.text,
+        defaultSeverity: entry.defaultSeverity,
+        formattedMessage: entry.formattedMessage,
+        arguments: entry.arguments,
+        undecodedFields: entry.undecodedFields,
+        snapshot: entry.snapshot,
+        target: entry.target,
+        targetName: entry.targetName,
+      };
+      if (node.preciseTimestamps) addPreciseTimestamps(payload, entry);
 
       const msg = {
-        topic: "eventlogger",
-        payload: {
-          eventClass: entry.eventClass,
-          eventId: entry.eventId,
-          severity: entry.severity,
-          severityLevel: entry.severityLevel,
-          timeRaised: entry.timeRaised,
-          timeCleared: entry.timeCleared,
-          timeConfirmed: entry.timeConfirmed,
-          alarmState: entry.alarmState,
-          isAlarm: entry.isAlarm,
-          sourceName: entry.sourceName,
-          message: entry.message,
-        },
+        topic: format.renderTopic(node.topicTemplate, payload),
+        payload: format.formatPayload(payload, node.payloadFormat),
       };
 
-      node.send(msg);
+      sendTo(outputIndex(entry), msg);
     }
 
     // ---- subscribe / unsubscribe ------------------------------------------
@@ -211,7 +284,8 @@ module.exports = function (RED) {
         // and emits "eventData" events to all subscribe nodes.
         await node.connection.addSubscriber();
 
-        node.status({ fill: "green", shape: "dot", text: "subscribed" });
+        node.subscribed = true;
+        updateStatus();
         node.log("Subscribed to EventLogger notifications on port 132");
       } catch (err) {
         node.status({
@@ -225,6 +299,7 @@ module.exports = function (RED) {
 
     async function unsubscribe() {
       if (!node.connection) return;
+      node.subscribed = false;
       try {
         await node.connection.removeSubscriber();
         node.log("Unsubscribed from EventLogger");
@@ -235,19 +310,151 @@ module.exports = function (RED) {
 
     // ---- event data listener (from shared subscription) -------------------
 
-    function onEventData(data) {
-      try {
-        const buffer = data.value;
-        if (!Buffer.isBuffer(buffer) || buffer.length === 0) return;
+    /**
+     * Notification callback.  ads-client normally delivers one sample per
+     * call, but may hand over a batch of samples (array) as well.
+     * `source` ({ target, targetName }) is the target it came from.
+     */
+    function onEventData(data, source) {
+      const samples = Array.isArray(data)
+        ? data
+        : Array.isArray(data && data.value)
+          ? data.value
+          : [data];
+
+      for (const sample of samples) {
+        try {
+          const buffer = Buffer.isBuffer(sample) ? sample : sample && sample.value;
+          if (!Buffer.isBuffer(buffer)) continue;
+
+          if (sample.snapshot === true) {
+            processSnapshot(buffer, source);
+          } else if (buffer.length > 0) {
+            processNotification(buffer, false, source);
+          }
+        } catch (err) {
+          node.error(`Error processing event notification: ${err.message}`);
+        }
+      }
+    }
+
+    /**
+     * Walk all entries packed into one notification buffer and emit each
+     * event.  Heartbeats are skipped.
+     * @returns {object[]} The parsed entries
+     */
+    function processNotification(buffer, snapshot, source) {
+      const { entries, truncated } = parser.splitNotification(buffer);
+      const parsed = [];
 
+      for (const entryData of entries) {
         // Skip heartbeat notifications (16 bytes, messageType = 0x0A)
-        if (buffer.length <= HEARTBEAT_SIZE) return;
+        if (parser.isHeartbeat(entryData)) continue;
+        const entry = processEntry(entryData, snapshot, source);
+        if (entry) parsed.push(entry);
+      }
 
-        // Parse the event entry
-        const entry = parseEventEntry(buffer);
-        if (entry) sendEvent(entry);
-      } catch (err) {
-        node.error(`Error processing event notification: ${err.message}`);
+      if (truncated) {
+        node.warn(
+          `Truncated event entry at offset ${truncated.offset} (${truncated.available} of ${truncated.expected} bytes)`
+        );
+        // The fixed part may still be intact – emit what can be decoded
+        if (truncated.available >= parser.MIN_EVENT_SIZE) {
+          const entry = processEntry(truncated.data, snapshot, source);
+          if (entry) parsed.push(entry);
+        }
+      }
+
+      return parsed;
+    }
+
+    /**
+     * Active alarms read after (re)connect: emit each one flagged as
+     * snapshot, followed by a summary listing all of them so downstream
+     * nodes (e.g. history) can reconcile what they have stored.  The
+     * summary covers one target and goes to the control output.
+     */
+    function processSnapshot(buffer, source) {
+      const entries = processNotification(buffer, true, source);
+
+      sendControl({
+        topic: "eventlogger/snapshot",
+        payload: {
+          snapshot: true,
+          target: source ? source.target : null,
+          targetName: source ? source.targetName : null,
+          count: entries.length,
+          // Same identity fields as the events, target included
+          active: entries.map((entry) => ({
+            target: entry.target,
+            eventClass: entry.eventClass,
+            eventId: entry.eventId,
+            timeRaised: formatTime(entry.timeRaised),
+            timeRaisedTicks: entry.timeRaisedTicks,
+          })),
+        },
+      });
+    }
+
+    /**
+     * Parse a single entry with the layout of its header version and send it.
+     * @returns {object|null} The parsed entry
+     */
+    function processEntry(entryData, snapshot, source) {
+      if (entryData.length >= parser.MIN_EVENT_SIZE && !parser.layoutOf(entryData)) {
+        reportUnsupportedLayout(entryData.readUInt32LE(0));
+        return null;
+      }
+
+      const entry = parser.parseEventEntry(entryData);
+      if (!entry) {
+        node.warn(
+          `Event data too short (${entryData.length} bytes, need >= ${parser.MIN_EVENT_SIZE})`
+        );
+        return null;
+      }
+      entry.snapshot = snapshot === true;
+      entry.target = source ? source.target : null;
+      entry.targetName = source ? source.targetName : null;
+      applyEventTexts(entry);
+      sendEvent(entry);
+      return entry;
+    }
+
+    /**
+     * An entry with an unknown header version is not decoded with a guessed
+     * layout: its offsets may not apply and would yield wrong events.
+     */
+    function reportUnsupportedLayout(version) {
+      node.status({
+        fill: "red",
+        shape: "dot",
+        text: `unsupported event layout (version ${version})`,
+      });
+      if (unsupportedVersions.has(version)) return;
+      unsupportedVersions.add(version);
+      const known = parser.listLayouts().map((l) => l.version).join(", ");
+      node.error(
+        `Unsupported event layout (header version ${version}, known: ${known}), events are dropped`
+      );
+    }
+
+    /**
+     * Add names / localized text from the connection's event class files
+     * and render the message template with the event arguments.
+     */
+    function applyEventTexts(entry) {
+      const texts = node.connection.resolveEventText(
+        entry.eventClass,
+        entry.eventId
+      );
+      entry.className = texts ? texts.className : null;
+      entry.eventName = texts ? texts.eventName : null;
+      entry.text = texts ? texts.text : null;
+      entry.defaultSeverity = texts ? texts.defaultSeverity : null;
+
+      if (entry.text) {
+        entry.formattedMessage = parser.formatMessage(entry.text, entry.arguments);
       }
     }
 
@@ -260,12 +467,55 @@ module.exports = function (RED) {
         node.status({ fill: "green", shape: "ring", text: "connected" });
         subscribe();
       } else {
+        node.subscribed = false;
         node.status({ fill: "red", shape: "ring", text: "disconnected" });
       }
     }
 
     eventEmitter.on("connected", onConnectionStateChange);
 
+    /** Heartbeat watchdog of a target fired / recovered */
+    function onStale(stale, source) {
+      if (stale) {
+        const target =
+          source && node.connection.getTargetStates().length > 1
+            ? ` (${source.targetName})`
+            : "";
+        node.status({
+          fill: "yellow",
+          shape: "ring",
+          text: `stale${target} – resubscribing`,
+        });
+      } else {
+        updateStatus();
+      }
+    }
+
+    eventEmitter.on("stale", onStale);
+
+    /** A single target connected / disconnected (multi-target connections) */
+    function onTargetStateChange() {
+      updateStatus();
+    }
+
+    eventEmitter.on("targetState", onTargetStateChange);
+
+    /** Reconnect of a target scheduled or given up */
+    function onReconnecting(info, source) {
+      // Other targets still deliver – the target summary shows it as down
+      if (node.connection.isConnected()) {
+        updateStatus();
+        return;
+      }
+      const target =
+        source && node.connection.getTargetStates().length > 1
+          ? `${source.targetName}: `
+          : "";
+      node.status({ fill: "red", shape: "ring", text: target + retryStatusText(info) });
+    }
+
+    eventEmitter.on("reconnecting", onReconnecting);
+
     // Determine initial state
     if (node.connection.isConnected()) {
       subscribe();
@@ -275,11 +525,203 @@ module.exports = function (RED) {
       node.status({ fill: "red", shape: "ring", text: "disconnected" });
     }
 
+    // ---- runtime filter control -------------------------------------------
+
+    /** Short description of the active filter for the node status */
+    function filterSummary() {
+      const parts = [];
+      if (node.minSeverity > 0) {
+        parts.push(`≥ ${constants.SEVERITY_STR[node.minSeverity]}`);
+      }
+      if (node.rules.length > 0) {
+        parts.push(`${node.rules.length} rule${node.rules.length === 1 ? "" : "s"}`);
+      }
+      return parts.join(", ");
+    }
+
+    /**
+     * Targets part of the status for multi-target connections:
+     * "5/6 targets, IPC4 down" – null for a single target.
+     */
+    function targetSummary() {
+      const states = node.connection.getTargetStates();
+      if (states.length <= 1) return null;
+
+      const down = states.filter((t) => !t.connected);
+      let text = `${states.length - down.length}/${states.length} targets`;
+      if (down.length > 0 && down.length <= 2) {
+        text += `, ${down.map((t) => t.targetName).join(", ")} down`;
+      }
+      return { text, allConnected: down.length === 0 };
+    }
+
+    /** Status while subscribed: paused / filter summary / targets */
+    function updateStatus() {
+      if (!node.subscribed) return;
+
+      const summary = filterSummary();
+      const targets = targetSummary();
+      let text = node.paused ? "paused" : "subscribed";
+      if (targets) text += ` ${targets.text}`;
+      if (summary) text += ` (${summary})`;
+
+      node.status({
+        fill: node.paused || (targets && !targets.allConnected) ? "yellow" : "green",
+        shape: "dot",
+        text,
+      });
+    }
+
+    /** Severity name or number → 0..4 */
+    function toSeverityLevel(value) {
+      if (typeof value === "string" && isNaN(parseInt(value))) {
+        const level = Object.keys(constants.SEVERITY_STR).find(
+          (k) => constants.SEVERITY_STR[k].toLowerCase() === value.toLowerCase()
+        );
+        if (level === undefined) throw new Error(`Unknown severity "${value}"`);
+        return parseInt(level);
+      }
+      const level = parseInt(value);
+      if (isNaN(level) || level < 0 || level > 4) {
+        throw new Error(`minSeverity must be 0-4 or a severity name, got "${value}"`);
+      }
+      return level;
+    }
+
+    /** Replace the rule list; throws (and keeps the old rules) if invalid */
+    function setRules(rules) {
+      const filter = compileRules(rules);
+      node.rules = rules;
+      node.filter = filter;
+    }
+
+    /** @returns {object} Current filter state (for getFilter) */
+    function getFilterState() {
+      return {
+        minSeverity: node.minSeverity,
+        minSeverityName: constants.SEVERITY_STR[node.minSeverity],
+        rules: node.rules.map((rule) => ({ ...rule })),
+        paused: node.paused,
+        suppression: node.suppressor.getState(),
+      };
+    }
+
+    /**
+     * Apply a control command.
+     * @returns {boolean} Whether the current filter should be sent back
+     */
+    function applyCommand(command, payload) {
+      switch (command) {
+        case "setFilter": {
+          const minSeverity =
+            payload.minSeverity !== undefined
+              ? toSeverityLevel(payload.minSeverity)
+              : node.minSeverity;
+          if (payload.rules !== undefined) setRules(payload.rules);
+          node.minSeverity = minSeverity;
+          return false;
+        }
+        case "addRule": {
+          const rules = [...node.rules];
+          const index =
+            payload.index !== undefined ? parseInt(payload.index) : rules.length;
+          if (isNaN(index) || index < 0 || index > rules.length) {
+            throw new Error(`Invalid rule index "${payload.index}"`);
+          }
+          rules.splice(index, 0, payload.rule);
+          setRules(rules);
+          return false;
+        }
+        case "removeRule": {
+          const index = parseInt(payload.index);
+          if (isNaN(index) || index < 0 || index >= node.rules.length) {
+            throw new Error(`Invalid rule index "${payload.index}"`);
+          }
+          const rules = [...node.rules];
+          rules.splice(index, 1);
+          setRules(rules);
+          return false;
+        }
+        case "pause":
+          node.paused = true;
+          return false;
+        case "resume":
+          node.paused = false;
+          return false;
+        case "getFilter":
+          return true;
+        default:
+          throw new Error(`Unknown command "${command}"`);
+      }
+    }
+
     // ---- input handler ----------------------------------------------------
-    node.on("input", async function (msg) {
-      if (msg.payload === "resubscribe") {
+
+    /**
+     * Input:
+     *   "resubscribe"                                → drop and re-create subscription
+     *   "reconnect" / { command: "reconnect", target? } → manual reconnect of targets that are down
+     *   "pause" / "resume" / "getFilter"             → pause output / resume / report filter
+     *   { command: "setFilter", minSeverity, rules } → replace filter (either part optional)
+     *   { command: "addRule", rule, index? }         → insert rule (default: at the end)
+     *   { command: "removeRule", index }             → remove rule (0-based)
+     *   { command: "getFilter" | "pause" | "resume" }
+     *
+     * getFilter sends { topic: "eventlogger/filter", payload: filter state }
+     * on the control output.  Other string payloads are ignored.
+     */
+    node.on("input", async function (msg, send, done) {
+      send = send || function () { node.send.apply(node, arguments); };
+      done = done || function (err) { if (err) node.error(err, msg); };
+
+      const payload = msg.payload;
+
+      if (payload === "resubscribe") {
         await unsubscribe();
         await subscribe();
+        done();
+        return;
+      }
+
+      if (
+        payload === "reconnect" ||
+        (payload && typeof payload === "object" && payload.command === "reconnect")
+      ) {
+        try {
+          await node.connection.reconnect(
+            typeof payload === "object" ? payload.target : undefined
+          );
+          done();
+        } catch (err) {
+          done(err);
+        }
+        return;
+      }
+
+      // Other strings (e.g. the timestamp of an inject node) and objects
+      // without a command are ignored; an unknown object command is an error
+      const command =
+        typeof payload === "string"
+          ? STRING_COMMANDS.includes(payload)
+            ? payload
+            : undefined
+          : payload && typeof payload === "object"
+            ? payload.command
+            : undefined;
+      if (typeof command !== "string") {
+        done();
+        return;
+      }
+
+      try {
+        const reply = applyCommand(command, typeof payload === "object" ? payload : {});
+        updateStatus();
+        if (reply) {
+          sendControl({ topic: "eventlogger/filter", payload: getFilterState() }, send);
+        }
+        done();
+      } catch (err) {
+        done(err);
       }
     });
 
@@ -287,6 +729,10 @@ module.exports = function (RED) {
     node.on("close", async (done) => {
       eventEmitter.removeListener("connected", onConnectionStateChange);
       eventEmitter.removeListener("eventData", onEventData);
+      eventEmitter.removeListener("stale", onStale);
+      eventEmitter.removeListener("targetState", onTargetStateChange);
+      eventEmitter.removeListener("reconnecting", onReconnecting);
+      node.suppressor.close();
       await unsubscribe();
       node.status({});
       done();
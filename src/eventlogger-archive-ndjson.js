@@ -0,0 +1,229 @@
+/**
+ * NDJSON archive backend of the history node
+ *
+ * Every stored or updated history entry is appended as one JSON line to a
+ * file per UTC day:
+ *
+ *   <directory>/<prefix>-2026-02-26.ndjson
+ *   <directory>/<prefix>-2026-02-26.1.ndjson   (after maxFileSize is reached)
+ *
+ * Files are never rewritten.  Files older than retentionDays and – if
+ * maxTotalSize is set – the oldest files beyond that size are deleted.
+ *
+ * A query reads the files that can contain matching events (all files
+ * from the `since` day on) line by line and keeps only the alarms whose
+ * latest line matches the history query filter.  Large archives are
+ * better kept in SQLite, which does not scan the files.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const { compileQuery, selectEvents } = require("./eventlogger-history-query");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {object} options
+ * @param {string} options.directory          Archive directory (created if missing)
+ * @param {function(object): string} options.keyOf  Identity key of an event
+ * @param {string} [options.prefix]           File name prefix (default "eventlogger")
+ * @param {number} [options.maxFileSize]      Bytes per file before rolling over, 0 = unlimited
+ * @param {number} [options.maxTotalSize]     Bytes of all files, 0 = unlimited
+ * @param {number} [options.retentionDays]    Delete files older than this, 0 = keep
+ * @param {function(Error)} [options.onError] Write / cleanup errors
+ */
+function createNdjsonArchive(options) {
+  const directory = options.directory;
+  const keyOf = options.keyOf;
+  const prefix = options.prefix || "eventlogger";
+  const maxFileSize = Math.max(0, parseInt(options.maxFileSize) || 0);
+  const maxTotalSize = Math.max(0, parseInt(options.maxTotalSize) || 0);
+  const retentionDays = Math.max(0, parseInt(options.retentionDays) || 0);
+  const onError = typeof options.onError === "function" ? options.onError : () => {};
+
+  const FILE_PATTERN = new RegExp(
+    `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.ndjson$`
+  );
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Current file
+  let day = null;
+  let part = 0;
+  let fileSize = 0;
+
+  // Pending lines, written in one append per tick; writes are chained
+  let pending = [];
+  let flushTimer = null;
+  let writing = Promise.resolve();
+  let closed = false;
+
+  // ---- files ------------------------------------------------------------
+
+  function fileName(fileDay, filePart) {
+    return `${prefix}-${fileDay}${filePart > 0 ? `.${filePart}` : ""}.ndjson`;
+  }
+
+  /** @returns {{name, day, part}[]} Archive files, oldest first */
+  function listFiles() {
+    return fs
+      .readdirSync(directory)
+      .map((name) => {
+        const match = FILE_PATTERN.exec(name);
+        return match ? { name, day: match[1], part: parseInt(match[2] || "0") } : null;
+      })
+      .filter((f) => f)
+      .sort((a, b) => (a.day === b.day ? a.part - b.part : a.day < b.day ? -1 : 1));
+  }
+
+  /** Continue the newest part of today's file after a restart */
+  function openDay(today) {
+    day = today;
+    part = 0;
+    fileSize = 0;
+    for (const file of listFiles()) {
+      if (file.day !== today) continue;
+      part = file.part;
+      fileSize = fs.statSync(path.join(directory, file.name)).size;
+    }
+    cleanup();
+  }
+
+  /** Apply the age and total size limits */
+  function cleanup() {
+    try {
+      let files = listFiles();
+      const current = fileName(day, part);
+
+      if (retentionDays > 0) {
+        const oldest = new Date(Date.now() - retentionDays * DAY_MS)
+          .toISOString()
+          .slice(0, 10);
+        for (const file of files.filter((f) => f.day < oldest)) {
+          fs.unlinkSync(path.join(directory, file.name));
+        }
+        files = files.filter((f) => f.day >= oldest);
+      }
+
+      if (maxTotalSize > 0) {
+        const sizes = files.map((f) => fs.statSync(path.join(directory, f.name)).size);
+        let total = sizes.reduce((sum, size) => sum + size, 0);
+        for (let i = 0; i < files.length && total > maxTotalSize; i++) {
+          if (files[i].name === current) break;
+          fs.unlinkSync(path.join(directory, files[i].name));
+          total -= sizes[i];
+        }
+      }
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  // ---- writing ----------------------------------------------------------
+
+  async function writeLines(lines) {
+    // Group the lines by target file (day change / size limit)
+    const chunks = [];
+    for (const line of lines) {
+      const today = new Date().toISOString().slice(0, 10);
+      if (today !== day) openDay(today);
+      const bytes = Buffer.byteLength(line);
+      if (maxFileSize > 0 && fileSize > 0 && fileSize + bytes > maxFileSize) {
+        part++;
+        fileSize = 0;
+        cleanup();
+      }
+      fileSize += bytes;
+
+      const name = fileName(day, part);
+      const last = chunks[chunks.length - 1];
+      if (last && last.name === name) last.data += line;
+      else chunks.push({ name, data: line });
+    }
+
+    for (const chunk of chunks) {
+      try {
+        await fs.promises.appendFile(path.join(directory, chunk.name), chunk.data, "utf8");
+      } catch (err) {
+        onError(err);
+      }
+    }
+  }
+
+  /** @returns {Promise} Resolves when everything appended so far is written */
+  function flush() {
+    clearImmediate(flushTimer);
+    flushTimer = null;
+    if (pending.length > 0) {
+      const lines = pending;
+      pending = [];
+      writing = writing.then(() => writeLines(lines));
+    }
+    return writing;
+  }
+
+  // ---- public API -------------------------------------------------------
+
+  return {
+    type: "ndjson",
+
+    /** Append a stored / updated history entry */
+    append(event) {
+      if (closed) return;
+      pending.push(`${JSON.stringify(event)}\n`);
+      if (!flushTimer) flushTimer = setImmediate(flush);
+    },
+
+    /**
+     * Events matching a history query (latest state per alarm), reduced to
+     * the `last` N, oldest first – not sorted or paged.
+     * @returns {Promise<object[]>}
+     * @throws {QueryError}
+     */
+    async query(query) {
+      const { criteria, matches } = compileQuery(query);
+      await flush();
+
+      const sinceDay =
+        criteria.since !== undefined ? new Date(criteria.since).toISOString().slice(0, 10) : null;
+      // A line is written when the alarm changes, never before it was raised
+      const files = listFiles().filter((f) => !sinceDay || f.day >= sinceDay);
+
+      // Latest matching line per alarm – only matches are kept.  A later
+      // line of an alarm replaces the earlier one; if it no longer matches,
+      // the event is dropped but the key keeps its place (history order).
+      const latest = new Map();
+      for (const file of files) {
+        const lines = readline.createInterface({
+          input: fs.createReadStream(path.join(directory, file.name), "utf8"),
+          crlfDelay: Infinity,
+        });
+        for await (const line of lines) {
+          if (!line) continue;
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch (_) {
+            continue; // skip a line cut off by a crash
+          }
+          const key = keyOf(event);
+          if (matches(event)) latest.set(key, event);
+          else if (latest.has(key)) latest.set(key, null);
+        }
+      }
+      return selectEvents([...latest.values()].filter((e) => e), query);
+    },
+
+    /** Write pending lines; no appends afterwards */
+    async close() {
+      await flush();
+      closed = true;
+    },
+  };
+}
+
+module.exports = {
+  createNdjsonArchive,
+};
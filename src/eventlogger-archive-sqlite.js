@@ -0,0 +1,289 @@
+/**
+ * SQLite archive backend of the history node
+ *
+ * Keeps one row per alarm instance (identity key) in a local database –
+ * stored or updated history entries are upserted, so the row always holds
+ * the latest state.  Time, severity, source and class are indexed; the
+ * full record is kept as JSON in `data`.
+ *
+ * Queries are narrowed in SQL and then run through the history query
+ * filter, so they return exactly what the in-memory history would.
+ *
+ * Requires the optional dependency better-sqlite3.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { compileQuery, selectEvents } = require("./eventlogger-history-query");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Compiled query criteria that are evaluated by SQL only approximately or
+// not at all – the rows are matched again after reading, and `last` can
+// only be applied in the database without them
+const UNCOVERED = ["sourcePattern", "messageTerms", "isAlarm", "cleared", "confirmed"];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    key         TEXT PRIMARY KEY,
+    time_raised INTEGER,
+    severity    INTEGER,
+    source_name TEXT,
+    event_class TEXT,
+    event_id    INTEGER,
+    target      TEXT,
+    target_name TEXT,
+    alarm_state TEXT,
+    received_at INTEGER,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS events_time_raised ON events (time_raised);
+  CREATE INDEX IF NOT EXISTS events_severity ON events (severity);
+  CREATE INDEX IF NOT EXISTS events_source_name ON events (source_name);
+  CREATE INDEX IF NOT EXISTS events_event_class ON events (event_class);
+  CREATE INDEX IF NOT EXISTS events_received_at ON events (received_at);
+`;
+
+function loadDriver() {
+  try {
+    return require("better-sqlite3");
+  } catch (err) {
+    throw new Error(
+      `SQLite archive requires the "better-sqlite3" package (npm install better-sqlite3): ${err.message.split("\n")[0]}`
+    );
+  }
+}
+
+/** @returns {number|null} Epoch ms of a Date / string / number, null if invalid */
+function toMillis(val) {
+  if (val === null || val === undefined || val === "") return null;
+  const t = new Date(val).getTime();
+  return isNaN(t) ? null : t;
+}
+
+// NOCASE / LIKE only fold ASCII letters – other text is matched in JS only
+function isAscii(str) {
+  return /^[\x00-\x7f]*$/.test(str);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.file               Database file (directory created if missing)
+ * @param {function(object): string} options.keyOf  Identity key of an event
+ * @param {number} [options.retentionDays]    Delete rows not updated for this long, 0 = keep
+ * @param {function(Error)} [options.onError] Write / cleanup errors
+ */
+function createSqliteArchive(options) {
+  const Database = loadDriver();
+  const keyOf = options.keyOf;
+  const retentionDays = Math.max(0, parseInt(options.retentionDays) || 0);
+  const onError = typeof options.onError === "function" ? options.onError : () => {};
+
+  fs.mkdirSync(path.dirname(options.file), { recursive: true });
+  const db = new Database(options.file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const upsert = db.prepare(`
+    INSERT INTO events (key, time_raised, severity, source_name, event_class,
+                        event_id, target, target_name, alarm_state, received_at, data)
+    VALUES (@key, @timeRaised, @severity, @sourceName, @eventClass,
+            @eventId, @target, @targetName, @alarmState, @receivedAt, @data)
+    ON CONFLICT (key) DO UPDATE SET
+      alarm_state = excluded.alarm_state,
+      severity    = excluded.severity,
+      source_name = excluded.source_name,
+      target_name = excluded.target_name,
+      received_at = excluded.received_at,
+      data        = excluded.data
+  `);
+  const deleteOlder = db.prepare("DELETE FROM events WHERE received_at < ?");
+
+  // Pending rows, written in one transaction per tick
+  let pending = [];
+  let flushTimer = null;
+  let retentionTimer = null;
+  let closed = false;
+
+  const writeRows = db.transaction((rows) => {
+    for (const row of rows) upsert.run(row);
+  });
+
+  function toRow(event) {
+    return {
+      key: keyOf(event),
+      timeRaised: toMillis(event.timeRaised),
+      severity: event.severityLevel ?? null,
+      sourceName: event.sourceName ?? null,
+      eventClass: event.eventClass ?? null,
+      eventId: Number.isInteger(event.eventId) ? event.eventId : null,
+      target: event.target ?? null,
+      targetName: event.targetName ?? null,
+      alarmState: event.alarmState ?? null,
+      receivedAt: toMillis(event._updatedAt || event._receivedAt) ?? Date.now(),
+      data: JSON.stringify(event),
+    };
+  }
+
+  function flush() {
+    clearImmediate(flushTimer);
+    flushTimer = null;
+    if (pending.length === 0) return;
+    const rows = pending;
+    pending = [];
+    try {
+      writeRows(rows);
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  function applyRetention() {
+    if (retentionDays === 0 || closed) return;
+    try {
+      deleteOlder.run(Date.now() - retentionDays * DAY_MS);
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  applyRetention();
+  if (retentionDays > 0) {
+    retentionTimer = setInterval(applyRetention, HOUR_MS);
+    retentionTimer.unref?.();
+  }
+
+  // ---- query translation ------------------------------------------------
+
+  /**
+   * WHERE conditions for the compiled criteria.  They never exclude a
+   * matching event; `exact` tells whether they select exactly the matches.
+   * @returns {{where: string[], params: object[], exact: boolean}}
+   */
+  function toSql(criteria) {
+    const where = [];
+    const params = [];
+    let exact = !UNCOVERED.some((name) => criteria[name] !== undefined);
+    const list = (values) => values.map(() => "?").join(", ");
+
+    if (criteria.minSeverity !== undefined) {
+      where.push("severity >= ?");
+      params.push(criteria.minSeverity);
+    }
+    if (criteria.maxSeverity !== undefined) {
+      where.push("severity <= ?");
+      params.push(criteria.maxSeverity);
+    }
+    if (criteria.severities) {
+      where.push(`severity IN (${list([...criteria.severities])})`);
+      params.push(...criteria.severities);
+    }
+    if (criteria.sourceText !== undefined) {
+      if (isAscii(criteria.sourceText)) {
+        where.push("source_name LIKE ? ESCAPE '\\'");
+        params.push(`%${criteria.sourceText.replace(/[\\%_]/g, "\\$&")}%`);
+      } else {
+        exact = false;
+      }
+    }
+    if (criteria.target !== undefined) {
+      if (isAscii(criteria.target)) {
+        where.push("(target = ? COLLATE NOCASE OR target_name = ? COLLATE NOCASE)");
+        params.push(criteria.target, criteria.target);
+      } else {
+        exact = false;
+      }
+    }
+    if (criteria.alarmStates) {
+      where.push(`alarm_state COLLATE NOCASE IN (${list([...criteria.alarmStates])})`);
+      params.push(...criteria.alarmStates);
+    }
+    if (criteria.eventIds) {
+      const ranges = criteria.eventIds.map(([from, to]) => {
+        if (to === Infinity) {
+          params.push(from);
+          return "event_id >= ?";
+        }
+        params.push(from, to);
+        return "event_id BETWEEN ? AND ?";
+      });
+      where.push(`(${ranges.join(" OR ")})`);
+    }
+    if (criteria.eventClasses) {
+      if ([...criteria.eventClasses].every(isAscii)) {
+        where.push(`event_class COLLATE NOCASE IN (${list([...criteria.eventClasses])})`);
+        params.push(...criteria.eventClasses);
+      } else {
+        exact = false;
+      }
+    }
+    if (criteria.since !== undefined) {
+      where.push("time_raised >= ?");
+      params.push(criteria.since);
+    }
+    if (criteria.until !== undefined) {
+      where.push("time_raised <= ?");
+      params.push(criteria.until);
+    }
+
+    return { where, params, exact };
+  }
+
+  // ---- public API -------------------------------------------------------
+
+  return {
+    type: "sqlite",
+
+    /** Upsert a stored / updated history entry */
+    append(event) {
+      if (closed) return;
+      pending.push(toRow(event));
+      if (!flushTimer) flushTimer = setImmediate(flush);
+    },
+
+    /**
+     * Events matching a history query (latest state per alarm), reduced to
+     * the `last` N, oldest first – not sorted or paged.
+     * @returns {Promise<object[]>}
+     * @throws {QueryError}
+     */
+    async query(query) {
+      flush();
+      const { criteria, last } = compileQuery(query);
+      const { where, params, exact } = toSql(criteria);
+      const limited = last > 0 && exact;
+
+      // rowid follows the first insert of an alarm, like the history order
+      const sql =
+        "SELECT data FROM events" +
+        (where.length ? ` WHERE ${where.join(" AND ")}` : "") +
+        (limited ? ` ORDER BY rowid DESC LIMIT ${last}` : " ORDER BY rowid");
+      const rows = db.prepare(sql).all(...params);
+      if (limited) rows.reverse();
+
+      const events = [];
+      for (const row of rows) {
+        try {
+          events.push(JSON.parse(row.data));
+        } catch (_) {
+          /* skip a damaged row */
+        }
+      }
+      return selectEvents(events, query);
+    },
+
+    /** Write pending rows and close the database */
+    async close() {
+      flush();
+      closed = true;
+      clearInterval(retentionTimer);
+      db.close();
+    },
+  };
+}
+
+module.exports = {
+  createSqliteArchive,
+};
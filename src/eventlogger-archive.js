@@ -0,0 +1,72 @@
+/**
+ * Long-term archive of the history node
+ *
+ * The in-memory history keeps the last `maxEvents` events; an archive keeps
+ * every stored or updated entry for months (audit trail).  Both backends
+ * answer the same query objects as the history node:
+ *
+ *   ndjson – append-only JSON lines, one file per UTC day, rolled over by
+ *            size, deleted by age / total size  (no dependencies)
+ *   sqlite – local database indexed on time, severity, source and class
+ *            (optional dependency better-sqlite3)
+ *
+ * Common interface:
+ *   append(event)          queue a stored / updated entry (written per tick)
+ *   query(query) → Promise<object[]>   latest state per alarm, oldest first,
+ *                          reduced to `last` N (the node sorts and pages)
+ *   close() → Promise      write pending entries
+ */
+
+const path = require("path");
+
+const { createNdjsonArchive } = require("./eventlogger-archive-ndjson");
+const { createSqliteArchive } = require("./eventlogger-archive-sqlite");
+
+const MB = 1024 * 1024;
+
+/**
+ * @param {string} type  "ndjson", "sqlite" or "" (no archive)
+ * @param {object} options
+ * @param {string} options.path               Directory (ndjson) or database file (sqlite)
+ * @param {function(object): string} options.keyOf  Identity key of an event
+ * @param {number} [options.retentionDays]    0 = keep forever
+ * @param {number} [options.maxFileSizeMB]    ndjson: roll over to a new file, 0 = per day only
+ * @param {number} [options.maxSizeMB]        ndjson: delete the oldest files beyond, 0 = unlimited
+ * @param {function(Error)} [options.onError]
+ * @returns {object|null} Archive, or null for type ""
+ */
+function createArchive(type, options) {
+  switch (type) {
+    case "":
+    case undefined:
+    case null:
+      return null;
+
+    case "ndjson":
+      return createNdjsonArchive({
+        directory: options.path,
+        keyOf: options.keyOf,
+        retentionDays: options.retentionDays,
+        maxFileSize: (parseFloat(options.maxFileSizeMB) || 0) * MB,
+        maxTotalSize: (parseFloat(options.maxSizeMB) || 0) * MB,
+        onError: options.onError,
+      });
+
+    case "sqlite":
+      return createSqliteArchive({
+        file: path.extname(options.path)
+          ? options.path
+          : path.join(options.path, "eventlogger.db"),
+        keyOf: options.keyOf,
+        retentionDays: options.retentionDays,
+        onError: options.onError,
+      });
+
+    default:
+      throw new Error(`Unknown archive type "${type}"`);
+  }
+}
+
+module.exports = {
+  createArchive,
+};
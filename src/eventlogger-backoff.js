@@ -0,0 +1,83 @@
+/**
+ * Reconnect backoff policy of a target session
+ *
+ * The n-th retry waits  initialInterval * multiplier^(n-1)  ms, capped at
+ * maxInterval, randomised by ± jitter (fraction of the delay) so several
+ * Node-RED instances do not hammer a rebooting IPC in lockstep.  With
+ * maxAttempts > 0 the policy gives up after that many failed attempts
+ * until reset() (successful connect or manual reconnect).
+ */
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.initialInterval]  First delay in ms (default 2000)
+ * @param {number} [options.multiplier]       Growth factor per attempt (default 2)
+ * @param {number} [options.maxInterval]      Upper limit in ms (default 60000)
+ * @param {number} [options.jitter]           0..1, ± fraction of the delay (default 0.2)
+ * @param {number} [options.maxAttempts]      Give up after N attempts, 0 = never
+ * @returns {{next: function(): ({attempt: number, delay: number}|null),
+ *            reset: function(), getAttempts: function(): number,
+ *            isExhausted: function(): boolean, maxAttempts: number}}
+ */
+function createBackoff(options = {}) {
+  const number = (value, fallback) => {
+    const n = parseFloat(value);
+    return isNaN(n) ? fallback : n;
+  };
+
+  const initialInterval = Math.max(1, number(options.initialInterval, 2000));
+  const multiplier = Math.max(1, number(options.multiplier, 2));
+  const maxInterval = Math.max(initialInterval, number(options.maxInterval, 60000));
+  const jitter = Math.min(1, Math.max(0, number(options.jitter, 0.2)));
+  const maxAttempts = Math.max(0, parseInt(options.maxAttempts) || 0);
+
+  let attempts = 0;
+
+  return {
+    maxAttempts,
+
+    /**
+     * Delay before the next attempt, or null when the policy gave up.
+     * Each call counts one attempt.
+     */
+    next() {
+      if (maxAttempts > 0 && attempts >= maxAttempts) return null;
+      attempts++;
+
+      const base = Math.min(
+        maxInterval,
+        initialInterval * Math.pow(multiplier, attempts - 1)
+      );
+      const delay = Math.round(base * (1 + jitter * (2 * Math.random() - 1)));
+      return { attempt: attempts, delay: Math.max(0, delay) };
+    },
+
+    /** Start over with the initial interval */
+    reset() {
+      attempts = 0;
+    },
+
+    getAttempts() {
+      return attempts;
+    },
+
+    isExhausted() {
+      return maxAttempts > 0 && attempts >= maxAttempts;
+    },
+  };
+}
+
+/**
+ * Node status text for a "reconnecting" event of a target session, e.g.
+ * "reconnecting #3/10 at 10:42:05" or "gave up after 10 attempts".
+ */
+function retryStatusText(info) {
+  if (info.gaveUp) return `gave up after ${info.attempt} attempts`;
+  const limit = info.maxAttempts > 0 ? `/${info.maxAttempts}` : "";
+  return `reconnecting #${info.attempt}${limit} at ${info.nextRetry.toTimeString().slice(0, 8)}`;
+}
+
+module.exports = {
+  createBackoff,
+  retryStatusText,
+};
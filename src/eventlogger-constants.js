@@ -24,6 +24,28 @@ const SUBSCRIBE_INDEX_GROUP = 1;
 const SUBSCRIBE_INDEX_OFFSET = 0xFFFF;
 const SUBSCRIBE_BUFFER_SIZE = 4096;
 
+/**
+ * Heartbeat interval (ms) the stream watchdog assumes until two heartbeats
+ * have measured the real one.  Generous, so a slow heartbeat of a target
+ * is not taken for a stale stream.
+ */
+const INITIAL_HEARTBEAT_INTERVAL = 20000;
+
+/**
+ * Active alarm list (ADS read on the publisher port).
+ * Response: UINT32 count, followed by that many event entries in the same
+ * layout as the notification entries.
+ *
+ * EXPERIMENTAL: index group and offset are NOT documented by Beckhoff and
+ * not verified by a packet capture yet, unlike the subscription above.  The
+ * list is only read when the connection node's "Active Alarms" option is
+ * enabled (off by default), and a response that does not hold the announced
+ * number of entries is discarded.
+ */
+const ACTIVE_ALARMS_INDEX_GROUP = 2;
+const ACTIVE_ALARMS_INDEX_OFFSET = 0;
+const ACTIVE_ALARMS_BUFFER_SIZE = 65536;
+
 /**
  * Notification message types (UINT16 at byte offset 4)
  */
@@ -54,22 +76,166 @@ const SEVERITY_STR = {
 };
 
 /**
- * Alarm states
+ * Confirmation state (UINT8 at byte offset 53 of an event entry)
+ *
+ *   - NOT_SUPPORTED: the alarm does not require confirmation
+ *   - WAIT_FOR_CONFIRMATION: confirmation required, not yet given
+ *   - CONFIRMED: confirmed by an operator
+ *   - RESET: alarm was reset (cleared and acknowledged in one step)
+ */
+const CONFIRMATION_STATE = {
+  NOT_SUPPORTED: 0,
+  WAIT_FOR_CONFIRMATION: 1,
+  CONFIRMED: 2,
+  RESET: 3,
+};
+
+/**
+ * Alarm states (TwinCAT alarm lifecycle)
  *
- * Derived from observation:
- *   - "Raised" event: byte[52] = 1, timeConfirmed = null, timeCleared = null
- *   - "Cleared" event: byte[52] = 0, timeConfirmed filled in
+ *   Raised ──confirm──▶ Confirmed ──clear──▶ ClearedAndConfirmed
+ *     │                                            ▲
+ *     └──clear──▶ Cleared ──confirm────────────────┘
+ *   any ──reset──▶ Reset
+ *
+ * Alarms without confirmation go straight from Raised to Cleared.
+ * Derived from the raised flag (byte 52), the confirmation state (byte 53)
+ * and the timeCleared / timeConfirmed FILETIMEs – see deriveAlarmState().
  */
 const ALARM_STATE = {
-  RAISED: 1,    // byte[52] = 1
-  CLEARED: 0,   // byte[52] = 0
+  CLEARED: 0,
+  RAISED: 1,
+  CONFIRMED: 2,
+  CLEARED_AND_CONFIRMED: 3,
+  RESET: 4,
 };
 
 const ALARM_STATE_STR = {
-  [ALARM_STATE.RAISED]: "Raised",
   [ALARM_STATE.CLEARED]: "Cleared",
+  [ALARM_STATE.RAISED]: "Raised",
+  [ALARM_STATE.CONFIRMED]: "Confirmed",
+  [ALARM_STATE.CLEARED_AND_CONFIRMED]: "ClearedAndConfirmed",
+  [ALARM_STATE.RESET]: "Reset",
+};
+
+/**
+ * Event argument data types (TcEventArgumentType)
+ * Type tag of each entry in the argument block of an event.
+ */
+const ARG_TYPE = {
+  UNDEFINED: 0,
+  BOOLEAN: 1,
+  INT8: 2,
+  INT16: 3,
+  INT32: 4,
+  INT64: 5,
+  UINT8: 6,
+  UINT16: 7,
+  UINT32: 8,
+  UINT64: 9,
+  FLOAT: 10,
+  DOUBLE: 11,
+  CHAR: 12,
+  WCHAR: 13,
+  STRING: 14,
+  WSTRING: 15,
+  EVENT_REFERENCE: 16,
+  FORMAT_STRING: 17,
+  EXTERNAL_TIMESTAMP: 18,
+  BLOB: 19,
+  UTF8_STRING: 20,
+};
+
+const ARG_TYPE_STR = {
+  [ARG_TYPE.UNDEFINED]: "Undefined",
+  [ARG_TYPE.BOOLEAN]: "Boolean",
+  [ARG_TYPE.INT8]: "Int8",
+  [ARG_TYPE.INT16]: "Int16",
+  [ARG_TYPE.INT32]: "Int32",
+  [ARG_TYPE.INT64]: "Int64",
+  [ARG_TYPE.UINT8]: "UInt8",
+  [ARG_TYPE.UINT16]: "UInt16",
+  [ARG_TYPE.UINT32]: "UInt32",
+  [ARG_TYPE.UINT64]: "UInt64",
+  [ARG_TYPE.FLOAT]: "Float",
+  [ARG_TYPE.DOUBLE]: "Double",
+  [ARG_TYPE.CHAR]: "Char",
+  [ARG_TYPE.WCHAR]: "WChar",
+  [ARG_TYPE.STRING]: "String",
+  [ARG_TYPE.WSTRING]: "WString",
+  [ARG_TYPE.EVENT_REFERENCE]: "EventReference",
+  [ARG_TYPE.FORMAT_STRING]: "FormatString",
+  [ARG_TYPE.EXTERNAL_TIMESTAMP]: "Timestamp",
+  [ARG_TYPE.BLOB]: "Blob",
+  [ARG_TYPE.UTF8_STRING]: "String",
 };
 
+// ---------------------------------------------------------------------------
+// Alarm state helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Derive the alarm state of an entry.
+ *
+ * @param {object} info
+ * @param {boolean} info.isAlarm
+ * @param {number} [info.messageType]       MSG_TYPE of the notification
+ * @param {boolean} info.raised             Raised flag (alarm condition active)
+ * @param {number} [info.confirmationState] CONFIRMATION_STATE value
+ * @param {boolean} info.confirmationRequired
+ * @param {Date|null} [info.timeConfirmed]
+ * @returns {number|null} ALARM_STATE value, or null for plain messages
+ */
+function deriveAlarmState(info) {
+  if (!info.isAlarm) return null;
+  if (info.confirmationState === CONFIRMATION_STATE.RESET) {
+    return ALARM_STATE.RESET;
+  }
+
+  // A fresh "raised" notification is always active
+  const active = info.messageType === MSG_TYPE.ALARM_RAISED || info.raised;
+  const confirmed =
+    info.confirmationRequired &&
+    (info.confirmationState === CONFIRMATION_STATE.CONFIRMED ||
+      !!info.timeConfirmed);
+
+  if (active) {
+    return confirmed ? ALARM_STATE.CONFIRMED : ALARM_STATE.RAISED;
+  }
+  return confirmed ? ALARM_STATE.CLEARED_AND_CONFIRMED : ALARM_STATE.CLEARED;
+}
+
+/** @returns {boolean} Whether the alarm condition is still present */
+function isAlarmActive(state) {
+  return state === "Raised" || state === "Confirmed";
+}
+
+/** @returns {boolean} Whether the alarm has been confirmed */
+function isAlarmConfirmed(state) {
+  return state === "Confirmed" || state === "ClearedAndConfirmed";
+}
+
+/**
+ * Combine the stored state of an alarm instance with an update for it.
+ * Notifications may arrive out of order (e.g. around a reconnect), so the
+ * lifecycle never moves backwards: a cleared alarm stays cleared and a
+ * confirmed alarm stays confirmed.
+ *
+ * @param {string|null} previous Stored alarmState string
+ * @param {string|null} incoming alarmState string of the update
+ * @returns {string|null}
+ */
+function mergeAlarmState(previous, incoming) {
+  if (!previous || !incoming) return incoming || previous || null;
+  if (previous === "Reset" || incoming === "Reset") return "Reset";
+
+  const active = isAlarmActive(previous) && isAlarmActive(incoming);
+  const confirmed = isAlarmConfirmed(previous) || isAlarmConfirmed(incoming);
+
+  if (active) return confirmed ? "Confirmed" : "Raised";
+  return confirmed ? "ClearedAndConfirmed" : "Cleared";
+}
+
 // ---------------------------------------------------------------------------
 // Binary helpers
 // ---------------------------------------------------------------------------
@@ -93,24 +259,59 @@ function parseGuid(buffer, offset) {
   return `${data1}-${data2}-${data3}-${data4High}-${data4Low}`;
 }
 
+/** FILETIME ticks (100 ns) between 1601-01-01 and the Unix epoch */
+const FILETIME_UNIX_EPOCH_TICKS = 116444736000000000n;
+
 /**
- * Parse a Windows FILETIME (100 ns intervals since 1601-01-01) to a Date.
- * Stored as two 32-bit LE values (low, high).
+ * Read a Windows FILETIME (100 ns intervals since 1601-01-01) as BigInt.
+ * Tick values exceed Number.MAX_SAFE_INTEGER, so they are never
+ * converted to a float.
  * Returns null for zero / empty timestamps.
  */
-function parseFileTime(buffer, offset) {
+function readFileTimeTicks(buffer, offset) {
   if (buffer.length < offset + 8) return null;
+  const ticks = buffer.readBigUInt64LE(offset);
+  return ticks === 0n ? null : ticks;
+}
+
+/**
+ * Parse a Windows FILETIME to a Date (millisecond precision, truncated).
+ * Use readFileTimeTicks() for the full 100 ns resolution.
+ * Returns null for zero / empty timestamps.
+ */
+function parseFileTime(buffer, offset) {
+  const ticks = readFileTimeTicks(buffer, offset);
+  return ticks === null ? null : fileTimeTicksToDate(ticks);
+}
 
-  const low = buffer.readUInt32LE(offset);
-  const high = buffer.readUInt32LE(offset + 4);
+/** FILETIME ticks (BigInt or digit string) → Date, truncated to ms */
+function fileTimeTicksToDate(ticks) {
+  return new Date(Number(toEpochTicks(ticks) / 10000n));
+}
 
-  if (low === 0 && high === 0) return null;
+/**
+ * FILETIME ticks → whole µs since the Unix epoch.  A float cannot hold
+ * the 100 ns digit at this magnitude, so it is truncated.
+ */
+function fileTimeTicksToEpochUs(ticks) {
+  return Number(toEpochTicks(ticks) / 10n);
+}
 
-  // FILETIME → ms since Unix epoch
-  const fileTimeMs = (high * 0x100000000 + low) / 10000;
-  const unixMs = fileTimeMs - 11644473600000;
+/**
+ * FILETIME ticks → ISO 8601 UTC string with nanoseconds,
+ * e.g. "2026-02-26T09:36:22.400123400Z".
+ */
+function fileTimeTicksToIsoNs(ticks) {
+  const epochTicks = toEpochTicks(ticks);
+  const seconds = epochTicks / 10000000n;
+  const fraction = epochTicks % 10000000n;
+  const iso = new Date(Number(seconds) * 1000).toISOString();
+  return `${iso.slice(0, 19)}.${fraction.toString().padStart(7, "0")}00Z`;
+}
 
-  return new Date(unixMs);
+/** FILETIME ticks → 100 ns ticks since the Unix epoch (BigInt) */
+function toEpochTicks(ticks) {
+  return BigInt(ticks) - FILETIME_UNIX_EPOCH_TICKS;
 }
 
 /**
@@ -129,17 +330,52 @@ function parseUtf16String(buffer, offset, byteLength) {
   return str;
 }
 
+/**
+ * Decode a null-terminated 8-bit string from a buffer range.
+ * Tries UTF-8 first and falls back to Latin-1 (Windows code page) when
+ * the bytes are not valid UTF-8, so umlauts survive either way.
+ */
+function parseUtf8String(buffer, offset, byteLength) {
+  if (byteLength <= 0 || buffer.length < offset + byteLength) return "";
+
+  let raw = buffer.subarray(offset, offset + byteLength);
+  const nullIdx = raw.indexOf(0);
+  if (nullIdx !== -1) {
+    raw = raw.subarray(0, nullIdx);
+  }
+
+  const str = raw.toString("utf8");
+  return str.includes("\uFFFD") ? raw.toString("latin1") : str;
+}
+
 module.exports = {
   ADS_PORT_EVENTLOGGER,
   SUBSCRIBE_INDEX_GROUP,
   SUBSCRIBE_INDEX_OFFSET,
   SUBSCRIBE_BUFFER_SIZE,
+  INITIAL_HEARTBEAT_INTERVAL,
+  ACTIVE_ALARMS_INDEX_GROUP,
+  ACTIVE_ALARMS_INDEX_OFFSET,
+  ACTIVE_ALARMS_BUFFER_SIZE,
   MSG_TYPE,
   SEVERITY,
   SEVERITY_STR,
+  CONFIRMATION_STATE,
   ALARM_STATE,
   ALARM_STATE_STR,
+  ARG_TYPE,
+  ARG_TYPE_STR,
+  deriveAlarmState,
+  isAlarmActive,
+  isAlarmConfirmed,
+  mergeAlarmState,
   parseGuid,
+  FILETIME_UNIX_EPOCH_TICKS,
+  readFileTimeTicks,
   parseFileTime,
+  fileTimeTicksToDate,
+  fileTimeTicksToEpochUs,
+  fileTimeTicksToIsoNs,
   parseUtf16String,
+  parseUtf8String,
 };
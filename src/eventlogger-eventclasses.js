@@ -0,0 +1,325 @@
+/**
+ * TwinCAT 3 event class catalog
+ *
+ * The ADS stream only carries the event class GUID and the event ID.  The
+ * names, texts and default severities live in the TwinCAT project and can
+ * be exported as a TMC file or as an EventClass XML file.  This module
+ * loads those files and resolves (eventClass, eventId) to texts in a
+ * chosen language.
+ *
+ * Supported shapes (both may appear in the same file, nested anywhere):
+ *
+ *   TMC:
+ *     <DataType>
+ *       <Name GUID="{160d9f14-…}">MyEvents</Name>
+ *       <DisplayName><![CDATA[My events]]></DisplayName>
+ *       <EventId>
+ *         <Name Id="1">Overtemp</Name>
+ *         <DisplayName LcId="1033"><![CDATA[Motor {0} overtemperature]]></DisplayName>
+ *         <DisplayName LcId="1031"><![CDATA[Motor {0} Übertemperatur]]></DisplayName>
+ *         <Severity>Error</Severity>
+ *       </EventId>
+ *     </DataType>
+ *
+ *   EventClass XML:
+ *     <EventClass Id="{160d9f14-…}" Name="MyEvents">
+ *       <DisplayName Language="en">My events</DisplayName>
+ *       <Event Id="1" Name="Overtemp" Severity="Error">
+ *         <DisplayName Language="en">Motor {0} overtemperature</DisplayName>
+ *       </Event>
+ *     </EventClass>
+ *
+ * Texts without a language attribute are used as the fallback for every
+ * language.
+ */
+
+const fs = require("fs");
+const { XMLParser } = require("fast-xml-parser");
+
+const constants = require("./eventlogger-constants");
+
+/** Windows locale IDs for the language codes offered in the editor */
+const LCID = {
+  en: 1033,
+  de: 1031,
+  fr: 1036,
+  it: 1040,
+  es: 1034,
+  nl: 1043,
+  pl: 1045,
+  cs: 1029,
+  sv: 1053,
+  pt: 2070,
+  ru: 1049,
+  tr: 1055,
+  zh: 2052,
+  ja: 1041,
+  ko: 1042,
+};
+
+/** Polling interval for file change detection (ms) */
+const WATCH_INTERVAL = 2000;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@",
+  textNodeName: "#text",
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (_name, _jpath, _isLeaf, isAttribute) => !isAttribute,
+});
+
+// ---------------------------------------------------------------------------
+// XML helpers
+// ---------------------------------------------------------------------------
+
+/** Lower-case GUID without braces, as produced by constants.parseGuid() */
+function normalizeGuid(guid) {
+  if (typeof guid !== "string") return null;
+  const m = /^\{?([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\}?$/i.exec(
+    guid.trim()
+  );
+  return m ? m[1].toLowerCase() : null;
+}
+
+/** Normalise a language code ("de-DE", "DE", "1031") to a numeric LCID */
+function toLcid(language) {
+  if (language === undefined || language === null || language === "") {
+    return null;
+  }
+  const str = String(language).trim().toLowerCase();
+  if (/^\d+$/.test(str)) return parseInt(str);
+  return LCID[str.split(/[-_]/)[0]] || null;
+}
+
+/** Text content of an element (string or { "#text" }) */
+function textOf(el) {
+  if (el === undefined || el === null) return "";
+  if (typeof el === "string") return el;
+  return el["#text"] !== undefined ? String(el["#text"]) : "";
+}
+
+/** First child element / attribute value, whichever exists */
+function first(el, ...keys) {
+  for (const key of keys) {
+    const v = el[key];
+    if (v === undefined) continue;
+    return Array.isArray(v) ? v[0] : v;
+  }
+  return undefined;
+}
+
+/** Collect localized variants: { [lcid|"default"]: text } */
+function collectTexts(elements) {
+  const texts = {};
+  for (const el of elements || []) {
+    const text = textOf(el);
+    if (!text) continue;
+    const lcid =
+      typeof el === "object"
+        ? toLcid(el["@LcId"] ?? el["@LCID"] ?? el["@Language"] ?? el["@Lang"])
+        : null;
+    const key = lcid === null ? "default" : lcid;
+    if (texts[key] === undefined) texts[key] = text;
+  }
+  return texts;
+}
+
+/** Pick the best text for a language: exact → default → English → any */
+function pickText(texts, lcid) {
+  if (!texts) return null;
+  if (lcid !== null && texts[lcid] !== undefined) return texts[lcid];
+  if (texts.default !== undefined) return texts.default;
+  if (texts[LCID.en] !== undefined) return texts[LCID.en];
+  const keys = Object.keys(texts);
+  return keys.length > 0 ? texts[keys[0]] : null;
+}
+
+/** Severity name / number → SEVERITY_STR name, or null */
+function normalizeSeverity(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const str = textOf(value).trim();
+  if (/^\d+$/.test(str)) return constants.SEVERITY_STR[parseInt(str)] || null;
+  const match = Object.values(constants.SEVERITY_STR).find(
+    (name) => name.toLowerCase() === str.toLowerCase()
+  );
+  return match || null;
+}
+
+// ---------------------------------------------------------------------------
+// Catalog extraction
+// ---------------------------------------------------------------------------
+
+/** Read an event definition (TMC <EventId> or XML <Event>) */
+function readEvent(el) {
+  const nameEl = first(el, "Name");
+  const id = parseInt(
+    el["@Id"] ?? (typeof nameEl === "object" ? nameEl["@Id"] : undefined)
+  );
+  if (isNaN(id)) return null;
+
+  return {
+    id,
+    name: el["@Name"] ?? textOf(nameEl),
+    texts: collectTexts(el.DisplayName || el.Text),
+    severity: normalizeSeverity(el["@Severity"] ?? first(el, "Severity")),
+  };
+}
+
+/**
+ * Walk the parsed document and collect every element that looks like an
+ * event class: it has a GUID and contains event definitions.
+ */
+function extractClasses(node, classes) {
+  if (!node || typeof node !== "object") return;
+
+  const events = node.EventId || node.Event;
+  if (Array.isArray(events)) {
+    const nameEl = first(node, "Name");
+    const guid = normalizeGuid(
+      node["@Id"] ??
+        node["@GUID"] ??
+        node["@Guid"] ??
+        (typeof nameEl === "object" ? nameEl["@GUID"] ?? nameEl["@Guid"] : undefined)
+    );
+
+    if (guid) {
+      const cls = {
+        guid,
+        name: node["@Name"] ?? textOf(nameEl),
+        texts: collectTexts(node.DisplayName),
+        events: new Map(),
+      };
+      for (const ev of events) {
+        const parsed = readEvent(ev);
+        if (parsed) cls.events.set(parsed.id, parsed);
+      }
+      classes.set(guid, cls);
+      return;
+    }
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith("@") || key === "#text") continue;
+    if (Array.isArray(value)) {
+      for (const child of value) extractClasses(child, classes);
+    } else {
+      extractClasses(value, classes);
+    }
+  }
+}
+
+/**
+ * Parse one TMC / EventClass XML document.
+ * @returns {Map<string, object>} event classes keyed by GUID
+ */
+function parseEventClassXml(xml) {
+  const classes = new Map();
+  extractClasses(xmlParser.parse(xml), classes);
+  return classes;
+}
+
+// ---------------------------------------------------------------------------
+// Catalog with file watching
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a catalog over a set of files.
+ *
+ * @param {object} options
+ * @param {string[]} options.files   Absolute paths of TMC / XML files
+ * @param {string} [options.language] Language code ("en", "de", …) or LCID
+ * @param {boolean} [options.watch]  Reload files when they change on disk
+ * @param {function} [options.onLoad]  (file, classCount) after each (re)load
+ * @param {function} [options.onError] (file, err) when a file cannot be read
+ */
+function createEventClassCatalog(options) {
+  const files = options.files || [];
+  const lcid = toLcid(options.language) ?? LCID.en;
+  const onLoad = options.onLoad || (() => {});
+  const onError = options.onError || (() => {});
+
+  /** Classes per file, so one broken file does not drop the others */
+  const perFile = new Map();
+  let classes = new Map();
+
+  function rebuild() {
+    classes = new Map();
+    for (const fileClasses of perFile.values()) {
+      for (const [guid, cls] of fileClasses) classes.set(guid, cls);
+    }
+  }
+
+  function loadFile(file) {
+    try {
+      const fileClasses = parseEventClassXml(fs.readFileSync(file, "utf8"));
+      perFile.set(file, fileClasses);
+      onLoad(file, fileClasses.size);
+    } catch (err) {
+      // Keep the previous content of this file if a reload fails
+      onError(file, err);
+    }
+    rebuild();
+  }
+
+  function onFileChange(file, curr, prev) {
+    if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+      loadFile(file);
+    }
+  }
+
+  const listeners = new Map();
+  for (const file of files) {
+    loadFile(file);
+    if (options.watch) {
+      const listener = (curr, prev) => onFileChange(file, curr, prev);
+      listeners.set(file, listener);
+      fs.watchFile(file, { interval: WATCH_INTERVAL, persistent: false }, listener);
+    }
+  }
+
+  return {
+    /**
+     * Resolve texts for an event.
+     * @returns {{className, eventName, text, defaultSeverity}|null}
+     */
+    resolve(eventClass, eventId) {
+      const cls = classes.get(normalizeGuid(eventClass));
+      if (!cls) return null;
+
+      const ev = cls.events.get(eventId);
+      return {
+        className: pickText(cls.texts, lcid) || cls.name || null,
+        eventName: ev ? ev.name || null : null,
+        text: ev ? pickText(ev.texts, lcid) : null,
+        defaultSeverity: ev ? ev.severity : null,
+      };
+    },
+
+    /** Reload all files */
+    reload() {
+      for (const file of files) loadFile(file);
+    },
+
+    /** @returns {number} Number of known event classes */
+    size() {
+      return classes.size;
+    },
+
+    /** Stop watching the files */
+    close() {
+      for (const [file, listener] of listeners) {
+        fs.unwatchFile(file, listener);
+      }
+      listeners.clear();
+    },
+  };
+}
+
+module.exports = {
+  LCID,
+  normalizeGuid,
+  parseEventClassXml,
+  createEventClassCatalog,
+};
@@ -0,0 +1,179 @@
+/**
+ * Rule-based event filter for the subscribe node
+ *
+ * A rule list is evaluated top to bottom; the first rule whose criteria
+ * all match decides whether the event is included or excluded.  Events
+ * that match no rule are included – unless the list contains at least one
+ * include rule, in which case only explicitly included events pass.
+ *
+ * Rule object (all criteria optional, empty = match anything):
+ *
+ *   {
+ *     action:     "include" | "exclude",
+ *     eventClass: "160d9f14-…"            (one or more GUIDs, comma-separated)
+ *     eventIds:   "1-10, 15, 20-"         (IDs and ranges, open ranges allowed)
+ *     source:     "MAIN.fbMotor*"         (glob with * and ?, case-insensitive)
+ *                 "/^MAIN\.fb(Motor|Pump)/i" (regular expression)
+ *     kind:       "any" | "alarm" | "message"
+ *     alarmState: "" | "Raised" | "Confirmed" | "Cleared" | "ClearedAndConfirmed" | "Reset"
+ *   }
+ */
+
+const { normalizeGuid } = require("./eventlogger-eventclasses");
+
+const ACTIONS = ["include", "exclude"];
+const KINDS = ["any", "alarm", "message"];
+
+// ---------------------------------------------------------------------------
+// Criteria parsing
+// ---------------------------------------------------------------------------
+
+/** "1-10, 15, 20-" → [[1, 10], [15, 15], [20, Infinity]] */
+function parseIdRanges(spec) {
+  const ranges = [];
+  for (const part of String(spec).split(",")) {
+    const item = part.trim();
+    if (item === "") continue;
+
+    const m = /^(\d*)\s*(-)?\s*(\d*)$/.exec(item);
+    if (!m || (m[1] === "" && m[3] === "")) {
+      throw new Error(`Invalid event ID range "${item}"`);
+    }
+    const from = m[1] === "" ? 0 : parseInt(m[1]);
+    const to = m[2] ? (m[3] === "" ? Infinity : parseInt(m[3])) : from;
+    if (to < from) {
+      throw new Error(`Invalid event ID range "${item}"`);
+    }
+    ranges.push([from, to]);
+  }
+  return ranges;
+}
+
+/**
+ * Glob (* / ?), /regex/flags or a RegExp → RegExp.
+ * The g and y flags are dropped: they make test() continue at lastIndex,
+ * so the same pattern would match only every other event.
+ */
+function parseSourcePattern(spec) {
+  if (spec instanceof RegExp) {
+    return spec.global || spec.sticky
+      ? new RegExp(spec.source, spec.flags.replace(/[gy]/g, ""))
+      : spec;
+  }
+  const str = String(spec).trim();
+
+  const re = /^\/(.*)\/([a-z]*)$/.exec(str);
+  if (re) {
+    try {
+      return new RegExp(re[1], re[2].replace(/[gy]/g, ""));
+    } catch (err) {
+      throw new Error(`Invalid source regex ${str}: ${err.message}`);
+    }
+  }
+
+  const escaped = str
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+// ---------------------------------------------------------------------------
+// Compilation / evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate a rule and turn it into a matcher.
+ * Throws with a descriptive message for invalid rules.
+ */
+function compileRule(rule) {
+  if (!rule || typeof rule !== "object") {
+    throw new Error("Filter rule must be an object");
+  }
+
+  const action = rule.action || "include";
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Invalid filter action "${rule.action}"`);
+  }
+  const kind = rule.kind || "any";
+  if (!KINDS.includes(kind)) {
+    throw new Error(`Invalid filter kind "${rule.kind}"`);
+  }
+
+  let classes = null;
+  if (rule.eventClass) {
+    classes = new Set(
+      String(rule.eventClass)
+        .split(",")
+        .map((g) => g.trim())
+        .filter((g) => g.length > 0)
+        .map((g) => {
+          const guid = normalizeGuid(g);
+          if (!guid) throw new Error(`Invalid event class GUID "${g}"`);
+          return guid;
+        })
+    );
+  }
+
+  const ids =
+    rule.eventIds !== undefined && String(rule.eventIds).trim() !== ""
+      ? parseIdRanges(rule.eventIds)
+      : null;
+  const source = rule.source ? parseSourcePattern(rule.source) : null;
+  const alarmState = rule.alarmState ? String(rule.alarmState).toLowerCase() : null;
+
+  return {
+    action,
+    matches(entry) {
+      if (classes && !classes.has(normalizeGuid(entry.eventClass))) return false;
+      if (ids && !ids.some(([from, to]) => entry.eventId >= from && entry.eventId <= to)) {
+        return false;
+      }
+      if (source && !source.test(entry.sourceName || "")) return false;
+      if (kind === "alarm" && !entry.isAlarm) return false;
+      if (kind === "message" && entry.isAlarm) return false;
+      if (
+        alarmState &&
+        (!entry.alarmState || entry.alarmState.toLowerCase() !== alarmState)
+      ) {
+        return false;
+      }
+      return true;
+    },
+  };
+}
+
+/**
+ * Compile a rule list.
+ * @returns {{rules: object[], matches: function(object): boolean}}
+ */
+function compileRules(rules) {
+  if (rules !== undefined && rules !== null && !Array.isArray(rules)) {
+    throw new Error("Filter rules must be an array");
+  }
+  const compiled = (rules || []).map((rule, idx) => {
+    try {
+      return compileRule(rule);
+    } catch (err) {
+      throw new Error(`Rule ${idx + 1}: ${err.message}`);
+    }
+  });
+  const hasInclude = compiled.some((rule) => rule.action === "include");
+
+  return {
+    rules: compiled,
+    matches(entry) {
+      for (const rule of compiled) {
+        if (rule.matches(entry)) return rule.action === "include";
+      }
+      return !hasInclude;
+    },
+  };
+}
+
+module.exports = {
+  parseIdRanges,
+  parseSourcePattern,
+  compileRule,
+  compileRules,
+};
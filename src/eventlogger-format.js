@@ -0,0 +1,263 @@
+/**
+ * Topic templates and payload formats for the subscribe node
+ *
+ * Topic template: any text with {field} placeholders, e.g.
+ *
+ *   plant/{targetName}/{sourceName}/{severity}
+ *
+ * Every field of the default payload can be used, e.g. {target} /
+ * {targetName} (AMS Net ID / friendly name of the PLC the event came
+ * from).  Dates are rendered as ISO strings, missing values as an empty
+ * string.
+ *
+ * Payload formats:
+ *   default – the event object as documented in the README
+ *   flat    – single-level object with dot-path keys
+ *             ({ "arguments.0.value": 92.4, "timeRaised": "2024-…Z", … })
+ *   isa182  – ISA-18.2 / OPC UA Alarms & Conditions style object
+ *             (activeState, ackedState, retain, …)
+ *
+ * Timestamp formats (timeRaised / timeCleared / timeConfirmed):
+ *   date    – JS Date (default)
+ *   iso     – ISO 8601 UTC string           "2026-02-26T09:36:22.400Z"
+ *   local   – ISO 8601 in an IANA zone      "2026-02-26T10:36:22.400+01:00"
+ *   epoch   – ms since the Unix epoch       1772098582400
+ */
+
+const PAYLOAD_FORMATS = ["default", "flat", "isa182"];
+const TIMESTAMP_FORMATS = ["date", "iso", "local", "epoch"];
+
+/** OPC UA severity (1..1000) per EventLogger severity level */
+const OPCUA_SEVERITY = [100, 300, 500, 700, 900];
+
+// ---------------------------------------------------------------------------
+// Topic
+// ---------------------------------------------------------------------------
+
+function toTopicValue(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return isNaN(value) ? "" : value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Replace the {field} placeholders of a topic template.
+ * @param {string} template
+ * @param {object} fields
+ * @returns {string}
+ */
+function renderTopic(template, fields) {
+  return String(template).replace(/\{(\w+)\}/g, (_match, name) =>
+    toTopicValue(fields[name])
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Timestamps
+// ---------------------------------------------------------------------------
+
+/**
+ * Check an IANA time zone name ("Europe/Berlin").
+ * @throws {RangeError} for unknown zones
+ */
+function validateTimeZone(timeZone) {
+  new Intl.DateTimeFormat("en-US", { timeZone });
+  return timeZone;
+}
+
+const zoneFormatters = new Map();
+
+/** Cached Intl formatter per zone – creating one is expensive */
+function zoneFormatter(timeZone) {
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/** Date → "2026-02-26T10:36:22.400+01:00" in the given IANA zone */
+function toLocalIso(date, timeZone) {
+  const parts = {};
+  for (const part of zoneFormatter(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  const ms = date.getUTCMilliseconds();
+
+  // Offset = wall-clock time in the zone minus UTC
+  const wallClock = Date.UTC(
+    parseInt(parts.year),
+    parseInt(parts.month) - 1,
+    parseInt(parts.day),
+    parseInt(parts.hour),
+    parseInt(parts.minute),
+    parseInt(parts.second),
+    ms
+  );
+  const offsetMin = Math.round((wallClock - date.getTime()) / 60000);
+  const sign = offsetMin < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMin);
+  const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+
+  return (
+    `${parts.year}-${parts.month}-${parts.day}` +
+    `T${parts.hour}:${parts.minute}:${parts.second}.${String(ms).padStart(3, "0")}${offset}`
+  );
+}
+
+/**
+ * Convert a timestamp into the selected format.
+ * @param {Date|null} date
+ * @param {string} format      One of TIMESTAMP_FORMATS
+ * @param {string} [timeZone]  IANA zone for "local" (default: UTC)
+ * @returns {Date|string|number|null}
+ */
+function formatTimestamp(date, format, timeZone) {
+  if (!(date instanceof Date) || isNaN(date)) return date ?? null;
+
+  switch (format) {
+    case "iso":
+      return date.toISOString();
+    case "local":
+      return toLocalIso(date, timeZone || "UTC");
+    case "epoch":
+      return date.getTime();
+    default:
+      return date;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Payload
+// ---------------------------------------------------------------------------
+
+/** Nested objects / arrays → { "a.b.0": value }, Dates as ISO strings */
+function flatten(value, prefix, out) {
+  if (value instanceof Date) {
+    out[prefix] = isNaN(value) ? null : value.toISOString();
+  } else if (Buffer.isBuffer(value)) {
+    out[prefix] = value.toString("hex");
+  } else if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 0) {
+      out[prefix] = Array.isArray(value) ? [] : {};
+    }
+    for (const key of keys) {
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (value !== undefined) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * ISA-18.2 alarm state of an event
+ *   NORM  – normal (not active, acknowledged / no ack needed)
+ *   UNACK – active, unacknowledged
+ *   ACKED – active, acknowledged
+ *   RTNUN – returned to normal, unacknowledged
+ */
+function isaState(payload) {
+  const active = payload.alarmState === "Raised" || payload.alarmState === "Confirmed";
+  const acked =
+    !payload.confirmationRequired ||
+    payload.alarmState === "Confirmed" ||
+    payload.alarmState === "ClearedAndConfirmed" ||
+    payload.alarmState === "Reset";
+
+  if (active) return acked ? "ACKED" : "UNACK";
+  return acked ? "NORM" : "RTNUN";
+}
+
+/** ISA-18.2 / OPC UA A&C style object */
+function toIsa182(payload) {
+  const base = {
+    conditionId: `${payload.eventClass}/${payload.eventId}`,
+    // Kept so the message can still be wired into the history and active
+    // nodes, which identify events by these fields
+    eventClass: payload.eventClass,
+    eventId: payload.eventId,
+    timeRaised: payload.timeRaised,
+    timeRaisedTicks: payload.timeRaisedTicks,
+    alarmState: payload.alarmState,
+    isAlarm: payload.isAlarm,
+    severityLevel: payload.severityLevel,
+    conditionName: payload.eventName || String(payload.eventId),
+    conditionClassName: payload.className || payload.eventClass,
+    sourceName: payload.sourceName,
+    eventType: payload.isAlarm ? "AlarmConditionType" : "BaseEventType",
+    message: payload.formattedMessage || payload.message,
+    severity: OPCUA_SEVERITY[payload.severityLevel] || OPCUA_SEVERITY[0],
+    severityName: payload.severity,
+    time: payload.timeConfirmed || payload.timeCleared || payload.timeRaised,
+    snapshot: payload.snapshot,
+  };
+  if (payload.target !== undefined) {
+    base.target = payload.target;
+    base.targetName = payload.targetName;
+  }
+
+  if (!payload.isAlarm) {
+    return { ...base, activeState: null, ackedState: null, retain: false, state: null };
+  }
+
+  const state = isaState(payload);
+  const active = state === "UNACK" || state === "ACKED";
+  const acked = state === "ACKED" || state === "NORM";
+
+  return {
+    ...base,
+    activeState: {
+      id: active,
+      text: active ? "Active" : "Inactive",
+      transitionTime: active ? payload.timeRaised : payload.timeCleared,
+    },
+    ackedState: {
+      id: acked,
+      text: acked ? "Acknowledged" : "Unacknowledged",
+      transitionTime: payload.timeConfirmed,
+    },
+    confirmationRequired: payload.confirmationRequired,
+    retain: active || !acked,
+    state,
+  };
+}
+
+/**
+ * Convert the default event payload into the selected format.
+ * @param {object} payload  Default payload built by the subscribe node
+ * @param {string} format   One of PAYLOAD_FORMATS
+ * @returns {object}
+ */
+function formatPayload(payload, format) {
+  switch (format) {
+    case "flat":
+      return flatten(payload, "", {});
+    case "isa182":
+      return toIsa182(payload);
+    default:
+      return payload;
+  }
+}
+
+module.exports = {
+  PAYLOAD_FORMATS,
+  TIMESTAMP_FORMATS,
+  validateTimeZone,
+  formatTimestamp,
+  renderTopic,
+  formatPayload,
+  isaState,
+};
@@ -0,0 +1,410 @@
+/**
+ * Query language of the history node
+ *
+ * Applies a query object to a list of stored events (oldest first) – used
+ * for the in-memory history as well as for the archive backends, so a
+ * query returns the same events wherever they are stored.  All criteria
+ * are optional and combined with AND:
+ *
+ *   severity:     "Error" | 3            minimum severity (or severityLevel: 3)
+ *                 ["Error", "Critical"]  exactly one of these
+ *   maxSeverity:  "Warning" | 2          maximum severity
+ *   sourceName:   "MAIN.fb"              substring, case-insensitive
+ *                 "MAIN.fbMotor*"        glob with * and ? (whole name)
+ *                 "/^MAIN\.fb\d+$/i"     regular expression (or a RegExp)
+ *   message:      "motor \"too hot\""    full text: all words / phrases, case-insensitive
+ *   target:       "IPC1"                 AMS Net ID or target name
+ *   alarmState:   "Raised" | ["Raised", "Confirmed"]
+ *   eventId:      12 | [12, 13] | "1-10, 20-"
+ *   eventClass:   "160d9f14-…" | ["…", "…"]
+ *   isAlarm:      true | false
+ *   cleared:      true | false           timeCleared is (not) set
+ *   confirmed:    true | false           timeConfirmed is (not) set
+ *   since, until: ISO date / epoch ms    raised at or after / at or before
+ *
+ * Result shaping, applied in this order:
+ *
+ *   last:   50                 keep the 50 most recent matches (0 = all)
+ *   sort:   "severityLevel"    any event field (default: arrival order)
+ *   order:  "asc" | "desc"     sort direction (default "asc")
+ *   offset: 100, limit: 50     one page (limit 0 = all); `total` counts the
+ *                              events before paging
+ *
+ * Invalid queries throw a QueryError ({code: "INVALID_QUERY", field}).
+ */
+
+const { parseIdRanges, parseSourcePattern } = require("./eventlogger-filter");
+
+// Severity name → level mapping for filter comparisons
+const SEVERITY_MAP = {
+  verbose: 0,
+  info: 1,
+  warning: 2,
+  error: 3,
+  critical: 4,
+};
+
+// Query properties that are not event criteria
+const SHAPING = ["last", "sort", "order", "offset", "limit", "archive"];
+
+const CRITERIA = [
+  "severity",
+  "severityLevel",
+  "maxSeverity",
+  "sourceName",
+  "message",
+  "target",
+  "alarmState",
+  "eventId",
+  "eventClass",
+  "isAlarm",
+  "cleared",
+  "confirmed",
+  "since",
+  "until",
+];
+
+/** Invalid query – `field` names the offending query property */
+class QueryError extends Error {
+  constructor(field, message) {
+    super(`Invalid query${field ? ` property "${field}"` : ""}: ${message}`);
+    this.name = "QueryError";
+    this.code = "INVALID_QUERY";
+    this.field = field;
+  }
+
+  /** Plain object for a response message */
+  toJSON() {
+    return { code: this.code, field: this.field, message: this.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Value parsing
+// ---------------------------------------------------------------------------
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/** "Error" / "error" / 3 / "3" → 3 */
+function severityLevel(field, value) {
+  if (typeof value === "string" && isNaN(parseInt(value))) {
+    const level = SEVERITY_MAP[value.trim().toLowerCase()];
+    if (level === undefined) throw new QueryError(field, `unknown severity "${value}"`);
+    return level;
+  }
+  const level = parseInt(value);
+  if (isNaN(level) || level < 0 || level > 4) {
+    throw new QueryError(field, `severity must be 0-4 or a severity name, got "${value}"`);
+  }
+  return level;
+}
+
+function timeOf(field, value) {
+  const t = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (isNaN(t)) throw new QueryError(field, `invalid date "${value}"`);
+  return t;
+}
+
+function millis(value) {
+  if (!value) return NaN;
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+function boolean(field, value) {
+  if (typeof value !== "boolean") throw new QueryError(field, "must be true or false");
+  return value;
+}
+
+function count(field, value, min) {
+  const n = typeof value === "string" ? Number(value) : value;
+  if (!Number.isInteger(n) || n < min) {
+    throw new QueryError(field, `must be an integer ≥ ${min}, got "${value}"`);
+  }
+  return n;
+}
+
+/** sourceName → RegExp (glob / regex), or null for a plain substring */
+function sourcePattern(value) {
+  if (value instanceof RegExp) return parseSourcePattern(value);
+  if (typeof value !== "string") throw new QueryError("sourceName", "must be a string");
+  if (!/^\/.*\/[a-z]*$/.test(value.trim()) && !/[*?]/.test(value)) return null;
+  try {
+    return parseSourcePattern(value);
+  } catch (err) {
+    throw new QueryError("sourceName", err.message);
+  }
+}
+
+/** 'motor "too hot"' → ["motor", "too hot"] */
+function searchTerms(value) {
+  if (typeof value !== "string") throw new QueryError("message", "must be a string");
+  const terms = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(value)) !== null) {
+    const term = (m[1] !== undefined ? m[1] : m[2]).trim().toLowerCase();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+/** eventId → list of [from, to] ranges */
+function idRanges(value) {
+  if (typeof value === "string") {
+    try {
+      return parseIdRanges(value);
+    } catch (err) {
+      throw new QueryError("eventId", err.message);
+    }
+  }
+  return toList(value).map((id) => {
+    const n = count("eventId", id, 0);
+    return [n, n];
+  });
+}
+
+/** eventClass / alarmState → Set of lower-case strings */
+function stringSet(field, value) {
+  const items = toList(value)
+    .flatMap((item) => (typeof item === "string" ? item.split(",") : [item]))
+    .map((item) => {
+      if (typeof item !== "string") throw new QueryError(field, "must be a string or a list of strings");
+      return item.trim().toLowerCase();
+    })
+    .filter((item) => item.length > 0);
+  if (items.length === 0) throw new QueryError(field, "must not be empty");
+  return new Set(items);
+}
+
+// ---------------------------------------------------------------------------
+// Compilation
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate a query and compile its criteria.
+ * `criteria` holds the normalized criteria, e.g. for an archive backend
+ * that narrows the query in its own index before matching.
+ * @throws {QueryError}
+ * @returns {{matches: function(object): boolean, criteria: object, last: number,
+ *            sort: string|null, order: string, offset: number, limit: number}}
+ */
+function compileQuery(query) {
+  if (query === undefined || query === null) query = {};
+  if (typeof query !== "object" || Array.isArray(query)) {
+    throw new QueryError(null, "query must be an object");
+  }
+  for (const key of Object.keys(query)) {
+    if (!CRITERIA.includes(key) && !SHAPING.includes(key)) {
+      throw new QueryError(key, "unknown property");
+    }
+  }
+
+  const tests = [];
+  const criteria = {};
+  const has = (key) => query[key] !== undefined && query[key] !== null && query[key] !== "";
+
+  // Severity: minimum, list of exact values, maximum
+  for (const field of ["severity", "severityLevel"]) {
+    if (!has(field)) continue;
+    if (Array.isArray(query[field])) {
+      const levels = new Set(query[field].map((v) => severityLevel(field, v)));
+      criteria.severities = levels;
+      tests.push((e) => levels.has(e.severityLevel ?? 0));
+    } else {
+      const min = severityLevel(field, query[field]);
+      criteria.minSeverity = Math.max(criteria.minSeverity ?? 0, min);
+      tests.push((e) => (e.severityLevel ?? 0) >= min);
+    }
+  }
+  if (has("maxSeverity")) {
+    const max = severityLevel("maxSeverity", query.maxSeverity);
+    criteria.maxSeverity = max;
+    tests.push((e) => (e.severityLevel ?? 0) <= max);
+  }
+
+  // Source name (substring, glob or regex)
+  if (has("sourceName")) {
+    const pattern = sourcePattern(query.sourceName);
+    if (pattern) {
+      criteria.sourcePattern = pattern;
+      tests.push((e) => !!e.sourceName && pattern.test(e.sourceName));
+    } else {
+      const search = query.sourceName.toLowerCase();
+      criteria.sourceText = search;
+      tests.push((e) => !!e.sourceName && e.sourceName.toLowerCase().includes(search));
+    }
+  }
+
+  // Full-text search in the message
+  if (has("message")) {
+    const terms = searchTerms(query.message);
+    criteria.messageTerms = terms;
+    tests.push((e) => {
+      const text = (e.message || "").toLowerCase();
+      return terms.every((term) => text.includes(term));
+    });
+  }
+
+  // Filter by target (AMS Net ID or name, case-insensitive)
+  if (has("target")) {
+    const target = String(query.target).toLowerCase();
+    criteria.target = target;
+    tests.push(
+      (e) =>
+        (!!e.target && e.target.toLowerCase() === target) ||
+        (!!e.targetName && e.targetName.toLowerCase() === target)
+    );
+  }
+
+  if (has("alarmState")) {
+    const states = stringSet("alarmState", query.alarmState);
+    criteria.alarmStates = states;
+    tests.push((e) => !!e.alarmState && states.has(e.alarmState.toLowerCase()));
+  }
+
+  if (has("eventId")) {
+    const ranges = idRanges(query.eventId);
+    criteria.eventIds = ranges;
+    tests.push((e) => ranges.some(([from, to]) => e.eventId >= from && e.eventId <= to));
+  }
+
+  if (has("eventClass")) {
+    const classes = stringSet("eventClass", query.eventClass);
+    criteria.eventClasses = classes;
+    tests.push((e) => !!e.eventClass && classes.has(e.eventClass.toLowerCase()));
+  }
+
+  if (has("isAlarm")) {
+    const isAlarm = boolean("isAlarm", query.isAlarm);
+    criteria.isAlarm = isAlarm;
+    tests.push((e) => !!e.isAlarm === isAlarm);
+  }
+  if (has("cleared")) {
+    const cleared = boolean("cleared", query.cleared);
+    criteria.cleared = cleared;
+    tests.push((e) => !!e.timeCleared === cleared);
+  }
+  if (has("confirmed")) {
+    const confirmed = boolean("confirmed", query.confirmed);
+    criteria.confirmed = confirmed;
+    tests.push((e) => !!e.timeConfirmed === confirmed);
+  }
+
+  // Time range of timeRaised (inclusive)
+  if (has("since")) {
+    const since = timeOf("since", query.since);
+    criteria.since = since;
+    tests.push((e) => millis(e.timeRaised) >= since);
+  }
+  if (has("until")) {
+    const until = timeOf("until", query.until);
+    criteria.until = until;
+    tests.push((e) => millis(e.timeRaised) <= until);
+  }
+
+  // Result shaping
+  const order = has("order") ? String(query.order).toLowerCase() : "asc";
+  if (order !== "asc" && order !== "desc") {
+    throw new QueryError("order", `must be "asc" or "desc", got "${query.order}"`);
+  }
+  if (has("sort") && typeof query.sort !== "string") {
+    throw new QueryError("sort", "must be the name of an event field");
+  }
+  if (has("archive") && typeof query.archive !== "boolean") {
+    throw new QueryError("archive", "must be true or false");
+  }
+
+  return {
+    matches: (e) => tests.every((test) => test(e)),
+    criteria,
+    last: has("last") ? count("last", query.last, 0) : 0,
+    sort: has("sort") ? query.sort : null,
+    order,
+    offset: has("offset") ? count("offset", query.offset, 0) : 0,
+    limit: has("limit") ? count("limit", query.limit, 0) : 0,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+/** Sort key: dates and ISO strings as epoch ms, severity names by level */
+function sortValue(e, field) {
+  if (field === "severity") return e.severityLevel ?? null;
+  const value = e[field];
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const t = Date.parse(value);
+    if (!isNaN(t)) return t;
+  }
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return typeof value === "string" ? value.toLowerCase() : value;
+}
+
+/**
+ * Matching events, reduced to the `last` N, oldest first.  Archives return
+ * this; sorting and paging follow on the merged result.
+ * @throws {QueryError}
+ */
+function selectEvents(events, query) {
+  const compiled = compileQuery(query);
+  const result = events.filter(compiled.matches);
+  return compiled.last > 0 && result.length > compiled.last
+    ? result.slice(result.length - compiled.last)
+    : result;
+}
+
+/**
+ * Sort and page selected events.
+ * @returns {{events: object[], total: number}} `total` = events before paging
+ * @throws {QueryError}
+ */
+function pageEvents(events, query) {
+  const { sort, order, offset, limit } = compileQuery(query);
+  let result = [...events];
+
+  if (sort) {
+    const direction = order === "desc" ? -1 : 1;
+    const keyed = result.map((e) => [sortValue(e, sort), e]);
+    // Stable: equal keys keep their arrival order; missing values last
+    keyed.sort(([a], [b]) => {
+      if (a === b) return 0;
+      if (a === null) return 1;
+      if (b === null) return -1;
+      return (a < b ? -1 : a > b ? 1 : 0) * direction;
+    });
+    result = keyed.map(([, e]) => e);
+  } else if (order === "desc") {
+    result.reverse();
+  }
+
+  const total = result.length;
+  if (offset > 0 || limit > 0) {
+    result = result.slice(offset, limit > 0 ? offset + limit : undefined);
+  }
+  return { events: result, total };
+}
+
+/**
+ * Apply a complete query.
+ * @param {object[]} events  Stored events, oldest first
+ * @param {object}   query
+ * @returns {object[]} Matching events (new array)
+ * @throws {QueryError}
+ */
+function filterEvents(events, query) {
+  return pageEvents(selectEvents(events, query), query).events;
+}
+
+module.exports = {
+  SEVERITY_MAP,
+  QueryError,
+  compileQuery,
+  selectEvents,
+  pageEvents,
+  filterEvents,
+};
@@ -0,0 +1,179 @@
+/**
+ * In-memory storage engine of the history node
+ *
+ * A fixed-capacity ring buffer (oldest entry overwritten when full) with a
+ * Map index from the alarm identity key to the buffer slot, so adding or
+ * updating an event is O(1) instead of a linear scan plus array copy.
+ *
+ * Persistence is coalesced: every change marks the store dirty and the
+ * whole history is written at most once per `persistDelay` ms (debounced,
+ * but at least every `maxPersistDelay` ms during a continuous burst).
+ * flush() writes pending changes immediately, e.g. on node close.
+ */
+
+/**
+ * @param {object}   options
+ * @param {number}   options.maxEvents          Capacity of the ring buffer
+ * @param {function(object): string} options.keyOf  Identity key of an event
+ * @param {object[]} [options.events]           Initial events (oldest first)
+ * @param {function(object[])} [options.persist] Writes the full history (oldest first)
+ * @param {number}   [options.persistDelay]     Debounce delay in ms, 0 = write on every change
+ * @param {number}   [options.maxPersistDelay]  Max. delay of a write during a burst (ms)
+ * @param {function(Error)} [options.onPersistError]
+ */
+function createHistoryStore(options) {
+  const capacity = Math.max(1, parseInt(options.maxEvents) || 1000);
+  const keyOf = options.keyOf;
+  const persistFn = typeof options.persist === "function" ? options.persist : () => {};
+  const persistDelay = Math.max(0, parseInt(options.persistDelay) || 0);
+  const maxPersistDelay = Math.max(
+    persistDelay,
+    parseInt(options.maxPersistDelay) || 5 * persistDelay
+  );
+  const onPersistError =
+    typeof options.onPersistError === "function" ? options.onPersistError : () => {};
+
+  const slots = new Array(capacity);
+  const keys = new Array(capacity);
+  const index = new Map(); // key → slot
+  let head = 0;            // slot of the oldest entry
+  let size = 0;
+
+  let dirty = false;
+  let dirtySince = 0;
+  let persistTimer = null;
+
+  // ---- persistence ------------------------------------------------------
+
+  function flush() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    if (!dirty) return;
+    dirty = false;
+    try {
+      persistFn(toArray());
+    } catch (err) {
+      onPersistError(err);
+    }
+  }
+
+  function markDirty() {
+    if (persistDelay === 0) {
+      dirty = true;
+      flush();
+      return;
+    }
+
+    const now = Date.now();
+    if (!dirty) {
+      dirty = true;
+      dirtySince = now;
+    }
+    clearTimeout(persistTimer);
+    const wait = Math.min(persistDelay, Math.max(0, dirtySince + maxPersistDelay - now));
+    persistTimer = setTimeout(flush, wait);
+  }
+
+  // ---- ring buffer ------------------------------------------------------
+
+  /** Append a new entry, overwriting the oldest one when full */
+  function append(key, event) {
+    let slot;
+    if (size < capacity) {
+      slot = (head + size) % capacity;
+      size++;
+    } else {
+      slot = head;
+      head = (head + 1) % capacity;
+      // A legacy duplicate may have pointed the key at a newer slot
+      if (index.get(keys[slot]) === slot) index.delete(keys[slot]);
+    }
+    slots[slot] = event;
+    keys[slot] = key;
+    index.set(key, slot);
+  }
+
+  function toArray() {
+    const result = new Array(size);
+    for (let i = 0; i < size; i++) {
+      result[i] = slots[(head + i) % capacity];
+    }
+    return result;
+  }
+
+  function clearSlots() {
+    slots.fill(undefined);
+    keys.fill(undefined);
+    index.clear();
+    head = 0;
+    size = 0;
+  }
+
+  function load(events) {
+    clearSlots();
+    const list = Array.isArray(events) ? events : [];
+    // Keep the newest entries if the history outgrew maxEvents
+    for (const event of list.slice(Math.max(0, list.length - capacity))) {
+      append(keyOf(event), event);
+    }
+  }
+
+  load(options.events);
+
+  // ---- public API -------------------------------------------------------
+
+  return {
+    capacity,
+
+    /** @returns {object|undefined} Stored event with this identity key */
+    get(key) {
+      const slot = index.get(key);
+      return slot === undefined ? undefined : slots[slot];
+    },
+
+    /**
+     * Store an event: replaces the entry with the same identity key in
+     * place, or appends it as the newest entry.
+     * @returns {boolean} true if an existing entry was replaced
+     */
+    set(event) {
+      const key = keyOf(event);
+      const slot = index.get(key);
+      const replaced = slot !== undefined;
+      if (replaced) {
+        slots[slot] = event;
+      } else {
+        append(key, event);
+      }
+      markDirty();
+      return replaced;
+    },
+
+    /** @returns {number} Number of stored events */
+    size() {
+      return size;
+    },
+
+    /** @returns {object[]} Copy of all events, oldest first */
+    toArray,
+
+    /** Remove all events (written immediately) */
+    clear() {
+      clearSlots();
+      dirty = true;
+      flush();
+    },
+
+    /** Write pending changes now */
+    flush,
+
+    /** Write pending changes and stop the persist timer */
+    close() {
+      flush();
+    },
+  };
+}
+
+module.exports = {
+  createHistoryStore,
+};
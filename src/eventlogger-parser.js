@@ -0,0 +1,471 @@
+/**
+ * TwinCAT 3 EventLogger notification parser
+ *
+ * Shared by the subscribe node and the integration test so the byte layout
+ * lives in exactly one place.
+ *
+ * The binary structure of an event entry may differ between TwinCAT
+ * builds.  Each variant is described by a layout object in a small
+ * registry, keyed by the header `version` field and the TwinCAT build.
+ * Only layouts verified against captured traffic are registered:
+ *
+ *   Build | version | Source
+ *   ------|---------|-----------------------------------------------------
+ *   4026  | 1       | reference layout (verified against live traffic)
+ *
+ * Entries with a header version that has no registered layout are
+ * rejected (parseEventEntry returns null) instead of being decoded with
+ * offsets that may not apply.  Other builds are added with
+ * registerLayout() once a capture from that build is available.
+ *
+ * Reference layout (Build 4026):
+ *
+ *   Offset | Size  | Field
+ *   -------|-------|-----------------------------------
+ *   0      | 4     | version          (always 1)
+ *   4      | 2     | messageType      (1=raised, 2=changed, 10=heartbeat)
+ *   6      | 2     | source hint      (variable, informational)
+ *   8      | 4     | payloadSize      (size of data after this field)
+ *   12     | 16    | eventClass       (GUID, mixed-endian)
+ *   28     | 4     | eventId
+ *   32     | 4     | flags            (varies, not severity)
+ *   36     | 1     | severity         (0=Verbose,1=Info,2=Warning,3=Error,4=Critical)
+ *   37     | 3     | reserved
+ *   40     | 4     | eventKind        (2 = alarm)
+ *   44     | 4     | totalSize        (0x78 = 120)
+ *   48     | 4     | field48          (0x2F = 47)
+ *   52     | 1     | raisedFlag       (1=raised, 0=cleared)
+ *   53     | 1     | confirmationState (0=not supported, 1=waiting, 2=confirmed, 3=reset)
+ *   54     | 2     | flags bytes
+ *   56     | 4     | field56
+ *   60     | 8     | timeRaised       (FILETIME)
+ *   68     | 8     | timeCleared      (FILETIME, 0 = n/a)
+ *   76     | 8     | timeConfirmed    (FILETIME, 0 = n/a)
+ *   84     | 68    | structure data   (instance / context fields, not decoded)
+ *   152    | 4     | sourceNameLen    (bytes, incl. null terminator)
+ *   156    | 4     | messageLen       (bytes, UTF-16LE incl. null terminator, 0 = none)
+ *   160    | var   | sourceName       (UTF-8, null-terminated)
+ *   …      | var   | message          (UTF-16LE, null-terminated, may be truncated)
+ *   …      | 4     | argCount         (optional, absent = no arguments)
+ *   …      | var   | arguments        (argCount × { type UINT32, size UINT32, data })
+ */
+
+const constants = require("./eventlogger-constants");
+
+/** Minimum size for a valid event entry (header + GUID + timestamps) */
+const MIN_EVENT_SIZE = 84;
+
+/** Size of a heartbeat notification */
+const HEARTBEAT_SIZE = 16;
+
+/** Common entry header: version, messageType, source hint, payloadSize */
+const HEADER_SIZE = 12;
+
+/** Argument header: type tag + data size */
+const ARG_HEADER_SIZE = 8;
+
+// ---------------------------------------------------------------------------
+// Layout registry
+// ---------------------------------------------------------------------------
+
+const LAYOUT_4026 = {
+  id: "4026",
+  build: 4026,
+  version: 1,
+  name: "TwinCAT 3.1 Build 4026",
+  severityOffset: 36,
+  severitySize: 1,
+  eventKindOffset: 40,
+  raisedFlagOffset: 52,
+  confirmationStateOffset: 53,
+  timeRaisedOffset: 60,
+  timeClearedOffset: 68,
+  timeConfirmedOffset: 76,
+  sourceNameLenOffset: 152,
+  messageLenOffset: 156,
+  stringTableOffset: 160,
+};
+
+const layouts = new Map();
+
+/**
+ * Add a layout to the registry (or replace one with the same id).
+ * Entries are matched to a layout by their header version.
+ */
+function registerLayout(layout) {
+  layouts.set(String(layout.id), Object.freeze({ ...layout, id: String(layout.id) }));
+}
+
+registerLayout(LAYOUT_4026);
+
+/** @returns {object|null} The layout registered under the given id / build */
+function getLayout(id) {
+  return layouts.get(String(id)) || null;
+}
+
+/** @returns {object[]} All registered layouts, newest build first */
+function listLayouts() {
+  return [...layouts.values()].sort((a, b) => b.build - a.build);
+}
+
+/**
+ * Layout of an event entry, looked up by its header version.
+ *
+ * @returns {object|null} Registered layout, or null if the version is unknown
+ */
+function layoutOf(data) {
+  if (!Buffer.isBuffer(data) || data.length < MIN_EVENT_SIZE) return null;
+
+  const version = data.readUInt32LE(0);
+  return listLayouts().find((layout) => layout.version === version) || null;
+}
+
+// ---------------------------------------------------------------------------
+// Entry parser
+// ---------------------------------------------------------------------------
+
+function readSeverity(data, layout) {
+  return layout.severitySize === 4
+    ? data.readUInt32LE(layout.severityOffset)
+    : data.readUInt8(layout.severityOffset);
+}
+
+/**
+ * Parse a single event entry from a Buffer.
+ *
+ * @param {Buffer} data   Event entry (starting at the version field)
+ * @param {object} [layout] Layout from the registry (default: layoutOf(data))
+ * @returns {object|null} Parsed entry, or null if data is too short or
+ *   its header version has no registered layout
+ */
+function parseEventEntry(data, layout) {
+  if (!Buffer.isBuffer(data) || data.length < MIN_EVENT_SIZE) return null;
+
+  layout = layout || layoutOf(data);
+  if (!layout) return null;
+
+  const entry = { layout: layout.id, arguments: [], undecodedFields: [] };
+
+  // ---- header (bytes 0-11) ---------------------------------------------
+  entry.version = data.readUInt32LE(0);
+  entry.messageType = data.readUInt16LE(4);
+  entry.payloadSize = data.readUInt32LE(8);
+
+  // ---- event identity (bytes 12-31) ------------------------------------
+  entry.eventClass = constants.parseGuid(data, 12);
+  entry.eventId = data.readUInt32LE(28);
+
+  // ---- severity ---------------------------------------------------------
+  const severityRaw = readSeverity(data, layout);
+  entry.severityRaw = severityRaw;
+  if (severityRaw <= 4) {
+    entry.severityLevel = severityRaw;
+    entry.severity = constants.SEVERITY_STR[severityRaw] || `Unknown(${severityRaw})`;
+  } else {
+    // Use Verbose as fallback for unrecognised values
+    entry.severityLevel = 0;
+    entry.severity = "Verbose";
+    entry.undecodedFields.push("severity");
+  }
+
+  // ---- alarm fields -----------------------------------------------------
+  entry.eventKind = data.readUInt32LE(layout.eventKindOffset);
+  entry.isAlarm = entry.eventKind === 2;
+
+  // ---- timestamps -------------------------------------------------------
+  // Date (ms) for convenience, raw 100 ns FILETIME ticks as string for
+  // exact ordering / writing back (BigInt is not JSON-serialisable)
+  for (const [field, offset] of [
+    ["timeRaised", layout.timeRaisedOffset],
+    ["timeCleared", layout.timeClearedOffset],
+    ["timeConfirmed", layout.timeConfirmedOffset],
+  ]) {
+    const ticks = constants.readFileTimeTicks(data, offset);
+    entry[field] = ticks === null ? null : constants.fileTimeTicksToDate(ticks);
+    entry[`${field}Ticks`] = ticks === null ? null : ticks.toString();
+  }
+
+  // ---- alarm state ------------------------------------------------------
+  // Raised flag (1=raised, 0=cleared) + confirmation state + timestamps
+  entry.raised = data.readUInt8(layout.raisedFlagOffset) === 1;
+  entry.confirmationState = data.readUInt8(layout.confirmationStateOffset);
+  entry.confirmationRequired =
+    entry.isAlarm &&
+    entry.confirmationState !== constants.CONFIRMATION_STATE.NOT_SUPPORTED;
+  entry.alarmStateValue = constants.deriveAlarmState(entry);
+  entry.alarmState =
+    entry.alarmStateValue === null
+      ? null
+      : constants.ALARM_STATE_STR[entry.alarmStateValue];
+
+  // ---- string table + arguments -----------------------------------------
+  decodeStringTable(data, layout, entry);
+  entry.formattedMessage = formatMessage(entry.message, entry.arguments);
+
+  return entry;
+}
+
+/**
+ * Decode the length-prefixed string table that follows the fixed
+ * structure block.  Fields that cannot be decoded are left as "" and
+ * listed in entry.undecodedFields.
+ */
+function decodeStringTable(data, layout, entry) {
+  entry.sourceName = "";
+  entry.message = "";
+
+  if (data.length < layout.stringTableOffset) {
+    entry.undecodedFields.push("sourceName", "message", "arguments");
+    return;
+  }
+
+  const sourceNameLen = data.readUInt32LE(layout.sourceNameLenOffset);
+  const messageLen = data.readUInt32LE(layout.messageLenOffset);
+  let offset = layout.stringTableOffset;
+
+  // Without a valid source name length the message cannot be located either
+  if (offset + sourceNameLen > data.length) {
+    entry.undecodedFields.push("sourceName", "message", "arguments");
+    return;
+  }
+  entry.sourceName = constants.parseUtf8String(data, offset, sourceNameLen);
+  offset += sourceNameLen;
+
+  // Message text (may be absent)
+  if (messageLen > 0) {
+    // Truncated notification: decode what is there, but report it
+    const available = Math.min(messageLen, data.length - offset) & ~1;
+    entry.message = constants.parseUtf16String(data, offset, available);
+    if (available !== messageLen) {
+      entry.undecodedFields.push("message", "arguments");
+      return;
+    }
+    offset += messageLen;
+  }
+
+  decodeArguments(data, offset, entry);
+}
+
+// ---------------------------------------------------------------------------
+// Event arguments
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode the argument block that follows the string table into
+ * entry.arguments ([{ type, value }]).
+ */
+function decodeArguments(data, offset, entry) {
+  // No argument block in this entry
+  if (offset + 4 > data.length) return;
+
+  const argCount = data.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < argCount; i++) {
+    if (offset + ARG_HEADER_SIZE > data.length) {
+      entry.undecodedFields.push("arguments");
+      return;
+    }
+    const type = data.readUInt32LE(offset);
+    const size = data.readUInt32LE(offset + 4);
+    offset += ARG_HEADER_SIZE;
+
+    if (offset + size > data.length) {
+      entry.undecodedFields.push("arguments");
+      return;
+    }
+
+    const value = decodeArgumentValue(data, offset, size, type);
+    if (value === undefined) {
+      entry.undecodedFields.push(`arguments[${i}]`);
+    }
+    entry.arguments.push({
+      type: constants.ARG_TYPE_STR[type] || `Unknown(${type})`,
+      value: value === undefined ? null : value,
+    });
+    offset += size;
+  }
+}
+
+/** Convert a 64-bit integer to a Number when it is exactly representable */
+function int64ToValue(big) {
+  return big >= BigInt(Number.MIN_SAFE_INTEGER) &&
+    big <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(big)
+    : big.toString();
+}
+
+/**
+ * Decode a single argument value.
+ * @returns {*} Decoded value, or undefined if the type / size is not understood
+ */
+function decodeArgumentValue(data, offset, size, type) {
+  const T = constants.ARG_TYPE;
+  const fits = (n) => size >= n;
+
+  switch (type) {
+    case T.BOOLEAN:
+      return fits(1) ? data.readUInt8(offset) !== 0 : undefined;
+    case T.INT8:
+      return fits(1) ? data.readInt8(offset) : undefined;
+    case T.INT16:
+      return fits(2) ? data.readInt16LE(offset) : undefined;
+    case T.INT32:
+      return fits(4) ? data.readInt32LE(offset) : undefined;
+    case T.INT64:
+      return fits(8) ? int64ToValue(data.readBigInt64LE(offset)) : undefined;
+    case T.UINT8:
+      return fits(1) ? data.readUInt8(offset) : undefined;
+    case T.UINT16:
+      return fits(2) ? data.readUInt16LE(offset) : undefined;
+    case T.UINT32:
+      return fits(4) ? data.readUInt32LE(offset) : undefined;
+    case T.UINT64:
+      return fits(8) ? int64ToValue(data.readBigUInt64LE(offset)) : undefined;
+    case T.FLOAT:
+      // REAL has ~7 significant digits; drop the float32 noise (92.4000015 → 92.4)
+      return fits(4) ? Number(data.readFloatLE(offset).toPrecision(7)) : undefined;
+    case T.DOUBLE:
+      return fits(8) ? data.readDoubleLE(offset) : undefined;
+    case T.CHAR:
+      return fits(1) ? data.toString("latin1", offset, offset + 1) : undefined;
+    case T.WCHAR:
+      return fits(2) ? data.toString("utf16le", offset, offset + 2) : undefined;
+    case T.STRING:
+    case T.UTF8_STRING:
+      return constants.parseUtf8String(data, offset, size);
+    case T.WSTRING:
+      return constants.parseUtf16String(data, offset, size & ~1);
+    case T.EXTERNAL_TIMESTAMP:
+      return fits(8) ? constants.parseFileTime(data, offset) : undefined;
+    case T.BLOB:
+      return data.toString("hex", offset, offset + size);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Substitute event arguments into a message template.
+ *
+ * Placeholders are `{n}` or `{n:format}` with n the argument index.  The
+ * only format understood is a fixed number of decimals (`{0:.1f}` or
+ * `{0:F1}`); anything else falls back to the plain value.  Placeholders
+ * without a matching argument are left as they are.
+ *
+ * @param {string} template Message text, e.g. "Motor {0} overtemperature: {1} °C"
+ * @param {Array<{type: string, value: *}>} args Decoded arguments
+ * @returns {string}
+ */
+function formatMessage(template, args) {
+  if (!template) return "";
+  if (!args || args.length === 0) return template;
+
+  return template.replace(/\{(\d+)(?::([^}]*))?\}/g, (match, index, format) => {
+    const arg = args[parseInt(index)];
+    if (!arg || arg.value === null || arg.value === undefined) return match;
+
+    const value = arg.value;
+    if (value instanceof Date) return value.toISOString();
+
+    const decimals = format && /^(?:\.(\d+)f|[Ff](\d+))$/.exec(format);
+    if (decimals && typeof value === "number") {
+      return value.toFixed(parseInt(decimals[1] || decimals[2]));
+    }
+    return String(value);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Notification splitting
+// ---------------------------------------------------------------------------
+
+/**
+ * Split one notification buffer into its entries.
+ *
+ * A notification may carry several entries back to back (e.g. a burst of
+ * alarms raised in the same PLC cycle).  Each entry starts with the common
+ * 12-byte header whose payloadSize gives the number of bytes that follow
+ * it.  The remainder of the 4096-byte buffer is zero padding.
+ *
+ * @param {Buffer} data Notification buffer
+ * @returns {{entries: Buffer[], truncated: object|null}}
+ *   entries   – complete entries (heartbeats included)
+ *   truncated – { offset, expected, available, data } for a trailing entry
+ *               that does not fit into the buffer, otherwise null
+ */
+function splitNotification(data) {
+  const entries = [];
+  let truncated = null;
+  let offset = 0;
+
+  while (offset + HEADER_SIZE <= data.length) {
+    const version = data.readUInt32LE(offset);
+    const payloadSize = data.readUInt32LE(offset + 8);
+
+    // Zero padding after the last entry
+    if (version === 0 && payloadSize === 0) break;
+
+    const end = offset + HEADER_SIZE + payloadSize;
+    if (payloadSize === 0 || end > data.length) {
+      truncated = {
+        offset,
+        expected: HEADER_SIZE + payloadSize,
+        available: data.length - offset,
+        data: data.subarray(offset),
+      };
+      break;
+    }
+
+    entries.push(data.subarray(offset, end));
+    offset = end;
+  }
+
+  return { entries, truncated };
+}
+
+/**
+ * Parse a heartbeat entry.
+ *
+ *   Offset | Size | Field
+ *   -------|------|------------------------------------
+ *   0      | 4    | version
+ *   4      | 2    | messageType (10 = heartbeat)
+ *   6      | 2    | source hint
+ *   8      | 4    | payloadSize (4)
+ *   12     | 4    | sequence    (incremented by the publisher)
+ *
+ * @returns {{version, messageType, sequence}|null}
+ */
+function parseHeartbeat(data) {
+  if (!Buffer.isBuffer(data) || data.length < HEARTBEAT_SIZE) return null;
+
+  return {
+    version: data.readUInt32LE(0),
+    messageType: data.readUInt16LE(4),
+    sequence: data.readUInt32LE(12),
+  };
+}
+
+/** @returns {boolean} Whether an entry buffer is a heartbeat */
+function isHeartbeat(data) {
+  return (
+    data.length <= HEARTBEAT_SIZE ||
+    data.readUInt16LE(4) === constants.MSG_TYPE.HEARTBEAT
+  );
+}
+
+module.exports = {
+  MIN_EVENT_SIZE,
+  HEARTBEAT_SIZE,
+  HEADER_SIZE,
+  registerLayout,
+  getLayout,
+  listLayouts,
+  layoutOf,
+  parseEventEntry,
+  formatMessage,
+  splitNotification,
+  isHeartbeat,
+  parseHeartbeat,
+};
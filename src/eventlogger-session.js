@@ -0,0 +1,589 @@
+/**
+ * ADS session to one EventLogger target, owned by the connection node
+ *
+ * One ads-client instance per target (AMS Net ID) with its own shared
+ * subscription to IG=1/IO=0xFFFF, optional active-alarm snapshot, heartbeat
+ * watchdog and reconnect timer.  A connection node with
+ * several targets holds one session per target and fans their events in.
+ *
+ * Failed connects and lost connections are retried by the session itself
+ * (ads-client's fixed-interval auto-reconnect is not used) following the
+ * backoff policy of ./eventlogger-backoff.js.  Failures are logged only
+ * when the kind of error changes, so a powered-off IPC does not flood the
+ * log.  Once the policy gives up, only reconnect() starts over.
+ *
+ * Events are reported through the connection's EventEmitter, always with
+ * the source target as last argument ({ target, targetName }):
+ *
+ *   "eventData"    (data, source)  – notification / snapshot from the target
+ *   "stale"        (stale, source) – heartbeat watchdog fired / recovered
+ *   "reconnecting" (info, source)  – retry scheduled / given up:
+ *                                    { attempt, maxAttempts, delay, nextRetry,
+ *                                      gaveUp, error }
+ *
+ * Connected-state changes go to options.onStateChange(session) so the
+ * connection node can aggregate them.
+ */
+
+const ads = require("ads-client");
+
+const constants = require("./eventlogger-constants");
+const parser = require("./eventlogger-parser");
+const { createBackoff } = require("./eventlogger-backoff");
+
+// Window of the events-per-second rate in diagnostics (1 s buckets)
+const RATE_WINDOW_S = 10;
+
+/**
+ * @param {object}   options
+ * @param {string}   options.amsNetId          Target AMS Net ID
+ * @param {string}   [options.name]            Friendly name (default: AMS Net ID)
+ * @param {object}   options.settings          ads-client settings (without target)
+ * @param {boolean}  options.autoReconnect     Reconnect after a lost connection
+ * @param {object}   options.backoff           Reconnect policy, see createBackoff()
+ * @param {number}   options.watchdogIntervals Missed heartbeats before resubscribe, 0 = off
+ * @param {boolean}  [options.readActiveAlarms] Read the active alarms after each subscribe
+ * @param {EventEmitter} options.emitter       Connection event emitter
+ * @param {function(): boolean} options.hasSubscribers
+ * @param {function(object)} options.onStateChange
+ * @param {function(Error): Error} options.formatError
+ * @param {{log: function, warn: function}} options.logger
+ */
+function createTargetSession(options) {
+  const { emitter, logger } = options;
+
+  const session = {
+    target: options.amsNetId,
+    targetName: options.name || options.amsNetId,
+
+    adsClient: null,
+    connecting: null,
+    retryTimer: null,
+    connected: false,
+    stateReported: false,
+    closed: false,
+
+    // Reconnect backoff
+    reconnectAttempt: 0,
+    nextRetry: null,          // Date of the next scheduled attempt
+    gaveUp: false,            // max attempts reached, waiting for reconnect()
+    lastError: null,          // message of the last connect error
+    _lastErrorType: null,     // for log throttling
+
+    // Diagnostics
+    connectCount: 0,          // successful connects, reconnects = count - 1
+    eventCount: 0,            // event entries received (without heartbeats)
+    lastEventTime: null,      // Date of the last event entry
+    lastAdsError: null,       // { message, errorCode, errorStr, time }
+
+    // Shared subscription of this target
+    _subscription: null,
+    _subscribing: null,   // dedup promise for concurrent _subscribe() calls
+
+    // Heartbeat tracking / stream watchdog
+    lastHeartbeat: null,      // Date of the last heartbeat
+    heartbeatInterval: null,  // measured interval (ms)
+    heartbeatSequence: null,
+    stale: false,
+    _watchdogTimer: null,
+  };
+
+  const source = { target: session.target, targetName: session.targetName };
+  const connectionSettings = {
+    ...options.settings,
+    targetAmsNetId: options.amsNetId,
+    autoReconnect: false, // reconnects follow our own backoff policy
+  };
+  const address = `${connectionSettings.targetAmsNetId}:${connectionSettings.targetAdsPort}`;
+  const backoff = createBackoff(options.backoff);
+
+  // ---- connection state bookkeeping -------------------------------------
+
+  /**
+   * ads-client may fire connect / disconnect several times – only real
+   * changes (and the first result) are reported.
+   */
+  function onConnectedStateChange(connected) {
+    const changed = session.connected !== connected || !session.stateReported;
+    session.connected = connected;
+    session.stateReported = true;
+
+    // Re-subscribe / invalidate shared subscription on state change
+    if (connected) {
+      if (options.hasSubscribers() && !session._subscription) {
+        session._subscribe().catch((err) => {
+          logger.warn(`Re-subscribe after reconnect failed: ${err.message}`);
+        });
+      }
+    } else {
+      // Subscription is invalid after disconnect
+      session._subscription = null;
+      stopWatchdog();
+    }
+
+    if (changed) options.onStateChange(session);
+  }
+
+  // ---- connect / disconnect ---------------------------------------------
+
+  /**
+   * Internal connect – creates client, registers listeners, connects.
+   */
+  async function connectClient(silence) {
+    if (!silence) {
+      logger.log(`Connecting to EventLogger at ${address}...`);
+    }
+
+    try {
+      // Tear down any previous session
+      if (session.adsClient) {
+        try {
+          await session.adsClient.disconnect();
+        } catch (_) {
+          /* ignore */
+        } finally {
+          session.adsClient = null;
+        }
+      }
+
+      session.adsClient = new ads.Client(connectionSettings);
+
+      session.adsClient.on("connect", () => onConnectedStateChange(true));
+      session.adsClient.on("disconnect", () => onConnectedStateChange(false));
+      session.adsClient.on("connectionLost", onConnectionLost);
+
+      const res = await session.adsClient.connect();
+
+      const attempts = backoff.getAttempts();
+      resetBackoff();
+      session.connectCount++;
+
+      if (!silence) {
+        logger.log(`Connected to EventLogger at ${address}`);
+      } else if (attempts > 0) {
+        logger.log(`Reconnected to EventLogger at ${address} after ${attempts} attempt(s)`);
+      }
+      return res;
+    } catch (err) {
+      // Schedule retry if the session hasn't been closed
+      if (session.adsClient && !session.closed) {
+        onConnectedStateChange(false);
+        scheduleReconnect(err);
+      }
+      throw err;
+    }
+  }
+
+  // ---- reconnect backoff ------------------------------------------------
+
+  /** Kind of a connect error, for log throttling */
+  function errorType(err) {
+    if (err.adsError) return `ADS ${err.adsError.errorCode}`;
+    return err.code || err.message;
+  }
+
+  function resetBackoff() {
+    backoff.reset();
+    session.reconnectAttempt = 0;
+    session.nextRetry = null;
+    session.gaveUp = false;
+    session.lastError = null;
+    session._lastErrorType = null;
+  }
+
+  /** Retry after the next backoff delay, or give up */
+  function scheduleReconnect(err) {
+    clearTimeout(session.retryTimer);
+    session.retryTimer = null;
+    session.lastError = err.message;
+    recordError(err);
+
+    const retry = backoff.next();
+    const info = {
+      attempt: retry ? retry.attempt : backoff.getAttempts(),
+      maxAttempts: backoff.maxAttempts,
+      delay: retry ? retry.delay : null,
+      nextRetry: retry ? new Date(Date.now() + retry.delay) : null,
+      gaveUp: !retry,
+      error: err.message,
+    };
+    session.reconnectAttempt = info.attempt;
+    session.nextRetry = info.nextRetry;
+    session.gaveUp = info.gaveUp;
+
+    if (!retry) {
+      logger.warn(
+        `Connecting to EventLogger at ${address} failed ${info.attempt} times, ` +
+          `giving up until a manual reconnect: ${err.message}`
+      );
+      emitter.emit("reconnecting", info, source);
+      return;
+    }
+
+    // Log the first failure and every change of the error, not each retry
+    const type = errorType(err);
+    if (type !== session._lastErrorType) {
+      session._lastErrorType = type;
+      logger.log(
+        `Connecting to EventLogger at ${address} failed (${err.message}), ` +
+          `retrying in ${retry.delay} ms...`
+      );
+    }
+    emitter.emit("reconnecting", info, source);
+
+    session.retryTimer = setTimeout(async () => {
+      try {
+        await session.connect(true);
+      } catch (_) {
+        /* will retry again */
+      }
+    }, retry.delay);
+  }
+
+  /** Remember the last error for diagnostics */
+  function recordError(err) {
+    session.lastAdsError = {
+      message: err.message,
+      errorCode: err.adsError ? err.adsError.errorCode : null,
+      errorStr: err.adsError ? err.adsError.errorStr : null,
+      time: new Date(),
+    };
+  }
+
+  /** ads-client lost an established connection */
+  function onConnectionLost() {
+    if (session.closed || !options.autoReconnect) return;
+
+    logger.warn(`Connection to EventLogger at ${address} lost, reconnecting...`);
+    session._lastErrorType = null;
+    scheduleReconnect(new Error("Connection lost"));
+  }
+
+  /**
+   * Public connect – deduplicates concurrent callers.
+   */
+  session.connect = async (silence) => {
+    clearTimeout(session.retryTimer);
+
+    let firstCall = false;
+    if (!session.connecting) {
+      session.connecting = connectClient(silence);
+      firstCall = true;
+    }
+
+    try {
+      return await session.connecting;
+    } finally {
+      if (firstCall) session.connecting = null;
+    }
+  };
+
+  /**
+   * Manual reconnect: start over with the initial backoff interval, also
+   * after the policy gave up.  No-op while connected.
+   */
+  session.reconnect = async () => {
+    if (session.closed || session.isConnected()) return;
+    resetBackoff();
+    return session.connect();
+  };
+
+  /** Stop retrying, release the subscription and disconnect */
+  session.close = async () => {
+    session.closed = true;
+    clearTimeout(session.retryTimer);
+    stopWatchdog();
+
+    logger.log(`Disconnecting from EventLogger at ${address}...`);
+
+    if (session.adsClient === null) return;
+
+    try {
+      await session.adsClient.disconnect(!session.adsClient.connection.connected);
+      logger.log("Disconnected from EventLogger");
+    } catch (err) {
+      logger.warn(`Disconnecting caused an error: ${err}`);
+    } finally {
+      session.adsClient = null;
+    }
+  };
+
+  // ---- public helpers ---------------------------------------------------
+
+  /** @returns {boolean} */
+  session.isConnected = () =>
+    session.adsClient !== null && session.adsClient.connection.connected;
+
+  /** @returns {boolean} */
+  session.isConnecting = () => session.connecting !== null;
+
+  /** @returns {object} State of this target for status / diagnostics */
+  session.getState = () => ({
+    target: session.target,
+    targetName: session.targetName,
+    connected: session.isConnected(),
+    connecting: session.isConnecting(),
+    subscribed: session._subscription !== null,
+    stale: session.stale,
+    reconnectAttempt: session.reconnectAttempt,
+    nextRetry: session.nextRetry,
+    gaveUp: session.gaveUp,
+    lastError: session.lastError,
+  });
+
+  // ---- shared subscription ----------------------------------------------
+
+  /**
+   * Create the ADS subscription of this target.
+   * Serialised so concurrent callers share one attempt.
+   */
+  session._subscribe = async () => {
+    if (session._subscription) return;
+
+    // If already in progress, wait for the existing attempt
+    if (session._subscribing) {
+      return session._subscribing;
+    }
+
+    session._subscribing = (async () => {
+      try {
+        session._subscription = await session.adsClient.subscribeRaw(
+          constants.SUBSCRIBE_INDEX_GROUP,
+          constants.SUBSCRIBE_INDEX_OFFSET,
+          constants.SUBSCRIBE_BUFFER_SIZE,
+          (data) => {
+            trackEntries(data);
+            // Forward raw notification data to all subscribe nodes
+            emitter.emit("eventData", data, source);
+          },
+          0,      // cycleTime (ms) – 0 = immediate
+          false   // cyclic mode (NOT onChange)
+        );
+        logger.log("Shared EventLogger subscription active");
+        // Watch the new stream right away – a resubscribe that never
+        // delivers a heartbeat is the half-open case the watchdog is for
+        armWatchdog();
+      } catch (err) {
+        session._subscription = null;
+        recordError(err);
+        logger.warn(`Failed to create shared subscription: ${err.message}`);
+        throw err;
+      } finally {
+        session._subscribing = null;
+      }
+
+      // Changes are delivered from now on – fetch what is already active
+      if (options.readActiveAlarms) await readActiveAlarms();
+    })();
+
+    return session._subscribing;
+  };
+
+  /**
+   * Read the currently active alarms and emit them to all subscribe nodes
+   * as a snapshot notification.
+   */
+  async function readActiveAlarms() {
+    if (!session.adsClient || !session.isConnected()) return;
+
+    try {
+      const data = await session.adsClient.readRaw(
+        constants.ACTIVE_ALARMS_INDEX_GROUP,
+        constants.ACTIVE_ALARMS_INDEX_OFFSET,
+        constants.ACTIVE_ALARMS_BUFFER_SIZE
+      );
+      const count = data.length >= 4 ? data.readUInt32LE(0) : 0;
+      const entries = data.subarray(4);
+
+      // The index group is unverified: data that is not a list of `count`
+      // entries must not be taken for the active alarms, or the history
+      // node would clear alarms that are still active
+      const found = parser
+        .splitNotification(entries)
+        .entries.filter((entry) => !parser.isHeartbeat(entry)).length;
+      if (found !== count) {
+        logger.warn(
+          `Active alarm list not recognised (${count} announced, ${found} found), snapshot skipped`
+        );
+        return;
+      }
+
+      logger.log(`Read ${count} active alarm(s) from EventLogger`);
+      emitter.emit(
+        "eventData",
+        { timestamp: new Date(), value: entries, snapshot: true },
+        source
+      );
+    } catch (err) {
+      // Not fatal: subscribers still receive all changes from now on
+      recordError(err);
+      logger.warn(`Reading active alarms failed: ${options.formatError(err).message}`);
+    }
+  }
+
+  /** Tear down the ADS subscription of this target */
+  session._unsubscribe = async () => {
+    stopWatchdog();
+    if (!session._subscription) return;
+    try {
+      await session._subscription.unsubscribe();
+      logger.log("Shared EventLogger subscription removed");
+    } catch (err) {
+      logger.warn(`Error removing subscription: ${err.message}`);
+    }
+    session._subscription = null;
+  };
+
+  // ---- heartbeat watchdog -----------------------------------------------
+
+  /** Record the heartbeats and count the events contained in a notification */
+  function trackEntries(data) {
+    const buffer = data && data.value;
+    if (!Buffer.isBuffer(buffer)) return;
+
+    let events = 0;
+    for (const entry of parser.splitNotification(buffer).entries) {
+      if (parser.isHeartbeat(entry)) {
+        const heartbeat = parser.parseHeartbeat(entry);
+        if (heartbeat) onHeartbeat(heartbeat);
+      } else {
+        events++;
+      }
+    }
+    if (events > 0) countEvents(events);
+  }
+
+  function onHeartbeat(heartbeat) {
+    const now = new Date();
+
+    if (session.lastHeartbeat) {
+      const delta = now - session.lastHeartbeat;
+      // Ignore gaps (reconnects, stale periods) when measuring the interval
+      if (!session.heartbeatInterval || delta < 3 * session.heartbeatInterval) {
+        session.heartbeatInterval = session.heartbeatInterval
+          ? Math.round(0.8 * session.heartbeatInterval + 0.2 * delta)
+          : delta;
+      }
+    }
+    session.lastHeartbeat = now;
+    session.heartbeatSequence = heartbeat.sequence;
+
+    if (session.stale) {
+      session.stale = false;
+      logger.log("EventLogger heartbeats received again");
+      emitter.emit("stale", false, source);
+    }
+    armWatchdog();
+  }
+
+  /**
+   * (Re)start the watchdog.  Until two heartbeats have measured the
+   * interval, the initial interval is assumed – so a stream that never
+   * delivers a heartbeat is caught as well.
+   */
+  function armWatchdog() {
+    clearTimeout(session._watchdogTimer);
+    session._watchdogTimer = null;
+    if (options.watchdogIntervals <= 0) return;
+
+    const interval = session.heartbeatInterval || constants.INITIAL_HEARTBEAT_INTERVAL;
+    session._watchdogTimer = setTimeout(
+      onWatchdogTimeout,
+      options.watchdogIntervals * interval
+    );
+  }
+
+  function stopWatchdog() {
+    clearTimeout(session._watchdogTimer);
+    session._watchdogTimer = null;
+  }
+
+  /**
+   * No heartbeat within N intervals: the session is most likely half-open.
+   * Tear down and recreate the shared subscription.
+   */
+  async function onWatchdogTimeout() {
+    session._watchdogTimer = null;
+
+    if (!session.stale) {
+      session.stale = true;
+      logger.warn(
+        session.lastHeartbeat
+          ? `No EventLogger heartbeat for ${Date.now() - session.lastHeartbeat} ms, recreating subscription`
+          : "No EventLogger heartbeat received yet, recreating subscription"
+      );
+      emitter.emit("stale", true, source);
+    }
+
+    try {
+      await session._unsubscribe();
+      if (options.hasSubscribers() && session.isConnected()) {
+        await session._subscribe();
+      }
+    } catch (_) {
+      /* already logged by _subscribe */
+    }
+
+    // Keep watching: retry again if heartbeats still do not arrive or the
+    // subscription could not be recreated
+    if (options.hasSubscribers() && session.isConnected()) armWatchdog();
+  }
+
+  // ---- diagnostics ------------------------------------------------------
+
+  const rateBuckets = new Array(RATE_WINDOW_S).fill(0);
+  let rateSecond = 0;
+
+  /** Move the rate window to the current second, clearing skipped buckets */
+  function advanceRate(nowSecond) {
+    const gap = Math.min(RATE_WINDOW_S, nowSecond - rateSecond);
+    for (let i = 1; i <= gap; i++) {
+      rateBuckets[(rateSecond + i) % RATE_WINDOW_S] = 0;
+    }
+    if (nowSecond > rateSecond) rateSecond = nowSecond;
+  }
+
+  function countEvents(count) {
+    const now = Date.now();
+    advanceRate(Math.floor(now / 1000));
+    rateBuckets[rateSecond % RATE_WINDOW_S] += count;
+    session.eventCount += count;
+    session.lastEventTime = new Date(now);
+  }
+
+  /** @returns {number} Events per second over the last RATE_WINDOW_S seconds */
+  function eventsPerSec() {
+    advanceRate(Math.floor(Date.now() / 1000));
+    const sum = rateBuckets.reduce((a, b) => a + b, 0);
+    return Math.round((sum / RATE_WINDOW_S) * 100) / 100;
+  }
+
+  /** @returns {object} Connection, subscription and traffic state of this target */
+  session.getDiagnostics = () => ({
+    ...session.getState(),
+    subscriptionHandle: session._subscription
+      ? session._subscription.notificationHandle
+      : null,
+    lastEventTime: session.lastEventTime,
+    eventCount: session.eventCount,
+    eventsPerSec: eventsPerSec(),
+    lastHeartbeat: session.lastHeartbeat,
+    heartbeatInterval: session.heartbeatInterval,
+    reconnectCount: Math.max(0, session.connectCount - 1),
+    lastAdsError: session.lastAdsError,
+  });
+
+  /** @returns {object} Heartbeat / watchdog state */
+  session.getHeartbeatInfo = () => ({
+    lastHeartbeat: session.lastHeartbeat,
+    interval: session.heartbeatInterval,
+    sequence: session.heartbeatSequence,
+    stale: session.stale,
+  });
+
+  return session;
+}
+
+module.exports = {
+  createTargetSession,
+};
@@ -0,0 +1,241 @@
+/**
+ * Chattering-alarm and alarm-flood suppression for the subscribe node
+ *
+ * Chattering: an alarm (target + eventClass + eventId) raised more than
+ * `chatterCycles` times within `chatterWindow` ms.  While it chatters its
+ * notifications are suppressed; onChatterStart / onChatterEnd report it.
+ * Chattering ends once the alarm has been quiet for a full window.
+ *
+ * Flood: more than `floodLimit` events within one second (all alarms and
+ * messages together).  Events above the limit are suppressed and counted;
+ * once a full second passes without suppression onFloodEnd receives a
+ * rollup of what was dropped.
+ *
+ * Snapshot events (active alarms read after a reconnect) always pass.
+ */
+
+const { isAlarmActive } = require("./eventlogger-constants");
+
+const FLOOD_WINDOW_MS = 1000;
+
+/** Key of an alarm for chattering detection */
+function alarmKey(entry) {
+  return `${entry.target || ""}/${entry.eventClass}/${entry.eventId}`;
+}
+
+/**
+ * @param {object}   options
+ * @param {number}   [options.chatterCycles]  Max. raises per window, 0 = off
+ * @param {number}   [options.chatterWindow]  Window in ms
+ * @param {number}   [options.floodLimit]     Max. events per second, 0 = off
+ * @param {function} [options.onChatterStart] (info) chattering detected
+ * @param {function} [options.onChatterEnd]   (info, lastEntry) chattering over
+ * @param {function} [options.onFloodStart]   (info) flood limit exceeded
+ * @param {function} [options.onFloodEnd]     (rollup) flood over
+ * @returns {{check: function(object): boolean, getState: function(): object, close: function()}}
+ */
+function createSuppressor(options) {
+  const chatterCycles = Math.max(0, parseInt(options.chatterCycles) || 0);
+  const chatterWindow = Math.max(1, parseInt(options.chatterWindow) || 10000);
+  const floodLimit = Math.max(0, parseInt(options.floodLimit) || 0);
+  const callback = (name) => (typeof options[name] === "function" ? options[name] : () => {});
+  const onChatterStart = callback("onChatterStart");
+  const onChatterEnd = callback("onChatterEnd");
+  const onFloodStart = callback("onFloodStart");
+  const onFloodEnd = callback("onFloodEnd");
+
+  // key → { raises: number[], chattering, since, suppressed, raised, cleared, lastEntry, timer }
+  const alarms = new Map();
+
+  // Timestamps of the events passed within the last second
+  let floodWindow = [];
+  let flood = null;
+
+  // ---- chattering ---------------------------------------------------------
+
+  function endChatter(key) {
+    const state = alarms.get(key);
+    if (!state) return;
+    alarms.delete(key);
+
+    onChatterEnd(
+      {
+        chattering: false,
+        eventClass: state.eventClass,
+        eventId: state.eventId,
+        sourceName: state.sourceName,
+        since: new Date(state.since),
+        durationMs: Date.now() - state.since,
+        suppressed: state.suppressed,
+        raised: state.raised,
+        cleared: state.cleared,
+        alarmState: state.lastEntry ? state.lastEntry.alarmState : null,
+      },
+      state.lastEntry
+    );
+  }
+
+  /** @returns {boolean} Whether the entry may pass */
+  function checkChatter(entry, now) {
+    if (!entry.isAlarm) return true;
+
+    const key = alarmKey(entry);
+    let state = alarms.get(key);
+    const isRaise = entry.alarmState === "Raised";
+
+    if (state && state.chattering) {
+      state.suppressed++;
+      if (isRaise) state.raised++;
+      else if (!isAlarmActive(entry.alarmState)) state.cleared++;
+      state.lastEntry = entry;
+
+      clearTimeout(state.timer);
+      state.timer = setTimeout(() => endChatter(key), chatterWindow);
+      return false;
+    }
+
+    if (!isRaise) return true;
+
+    if (!state) {
+      state = { raises: [] };
+      alarms.set(key, state);
+    }
+    state.raises = state.raises.filter((t) => now - t < chatterWindow);
+    state.raises.push(now);
+
+    if (state.raises.length <= chatterCycles) return true;
+
+    // Chattering starts with this raise – suppress it and everything after
+    Object.assign(state, {
+      chattering: true,
+      eventClass: entry.eventClass,
+      eventId: entry.eventId,
+      sourceName: entry.sourceName,
+      since: now,
+      suppressed: 1,
+      raised: 1,
+      cleared: 0,
+      lastEntry: entry,
+      timer: setTimeout(() => endChatter(key), chatterWindow),
+    });
+    onChatterStart({
+      chattering: true,
+      eventClass: entry.eventClass,
+      eventId: entry.eventId,
+      sourceName: entry.sourceName,
+      cycles: state.raises.length,
+      windowMs: chatterWindow,
+      since: new Date(now),
+    });
+    return false;
+  }
+
+  /** Forget raise history of alarms that have not chattered lately */
+  function pruneChatter(now) {
+    for (const [key, state] of alarms) {
+      if (!state.chattering && now - state.raises[state.raises.length - 1] >= chatterWindow) {
+        alarms.delete(key);
+      }
+    }
+  }
+
+  // ---- flood --------------------------------------------------------------
+
+  function checkFloodEnd() {
+    if (!flood) return;
+    if (Date.now() - flood.lastSuppressed < FLOOD_WINDOW_MS) {
+      flood.timer = setTimeout(checkFloodEnd, FLOOD_WINDOW_MS);
+      return;
+    }
+
+    const rollup = {
+      flood: false,
+      limit: floodLimit,
+      since: new Date(flood.since),
+      until: new Date(flood.lastSuppressed),
+      durationMs: flood.lastSuppressed - flood.since,
+      suppressed: flood.suppressed,
+      bySeverity: flood.bySeverity,
+      alarms: flood.alarms,
+      messages: flood.messages,
+    };
+    flood = null;
+    onFloodEnd(rollup);
+  }
+
+  /** @returns {boolean} Whether the entry may pass */
+  function checkFlood(entry, now) {
+    floodWindow = floodWindow.filter((t) => now - t < FLOOD_WINDOW_MS);
+    if (floodWindow.length < floodLimit) {
+      floodWindow.push(now);
+      return true;
+    }
+
+    if (!flood) {
+      flood = {
+        since: now,
+        lastSuppressed: now,
+        suppressed: 0,
+        bySeverity: {},
+        alarms: 0,
+        messages: 0,
+        timer: setTimeout(checkFloodEnd, FLOOD_WINDOW_MS),
+      };
+      onFloodStart({ flood: true, limit: floodLimit, since: new Date(now) });
+    }
+    flood.lastSuppressed = now;
+    flood.suppressed++;
+    flood.bySeverity[entry.severity] = (flood.bySeverity[entry.severity] || 0) + 1;
+    if (entry.isAlarm) flood.alarms++;
+    else flood.messages++;
+    return false;
+  }
+
+  // ---- public API ---------------------------------------------------------
+
+  return {
+    /** @returns {boolean} true if the entry should be sent, false if suppressed */
+    check(entry) {
+      if (entry.snapshot) return true;
+      const now = Date.now();
+
+      if (chatterCycles > 0) {
+        pruneChatter(now);
+        if (!checkChatter(entry, now)) return false;
+      }
+      if (floodLimit > 0 && !checkFlood(entry, now)) return false;
+      return true;
+    },
+
+    /** @returns {{chattering: object[], flood: object|null}} */
+    getState() {
+      return {
+        chattering: [...alarms.values()]
+          .filter((state) => state.chattering)
+          .map((state) => ({
+            eventClass: state.eventClass,
+            eventId: state.eventId,
+            sourceName: state.sourceName,
+            since: new Date(state.since),
+            suppressed: state.suppressed,
+          })),
+        flood: flood
+          ? { since: new Date(flood.since), suppressed: flood.suppressed }
+          : null,
+      };
+    },
+
+    /** Stop all timers (no end / rollup callbacks are fired) */
+    close() {
+      for (const state of alarms.values()) clearTimeout(state.timer);
+      alarms.clear();
+      if (flood) clearTimeout(flood.timer);
+      flood = null;
+      floodWindow = [];
+    },
+  };
+}
+
+module.exports = {
+  createSuppressor,
+};
@@ -0,0 +1,185 @@
+/**
+ * Throughput benchmark for the history node storage
+ *
+ * Compares the previous implementation (linear search, array copy when
+ * trimming, full context write per event) with the indexed ring buffer and
+ * coalesced persistence of src/eventlogger-history-store.js.
+ *
+ * Both variants start with a full history and then take a burst of events
+ * (3 of 4 new alarms, 1 of 4 a state change of a recent alarm).  The
+ * context write is simulated for two stores:
+ *   memory – global.set() of the array (reference only)
+ *   file   – JSON.stringify + write to a temp file, like an uncached
+ *            localfilesystem context store
+ *
+ * Usage: node test/bench-history.js [maxEvents] [burstEvents]
+ *   defaults: 10000 stored events, burst of 500 events
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const constants = require('../src/eventlogger-constants');
+const { createHistoryStore } = require('../src/eventlogger-history-store');
+
+const MAX_EVENTS = parseInt(process.argv[2]) || 10000;
+const BURST = parseInt(process.argv[3]) || 500;
+const TMP_FILE = path.join(os.tmpdir(), `eventlogger-bench-${process.pid}.json`);
+
+// ---- test data --------------------------------------------------------
+
+const BASE_TIME = Date.parse('2026-02-26T08:00:00Z');
+
+function makeEvent(i, alarmState = 'Raised') {
+  const time = new Date(BASE_TIME + i * 1000).toISOString();
+  return {
+    eventClass: '160d9f14-d97e-4462-afad-ea4cd48296b4',
+    eventId: i % 500,
+    target: '5.80.201.232.1.1',
+    targetName: 'IPC1',
+    severity: 'Error',
+    severityLevel: 3,
+    sourceName: `MAIN.fbMotor${i % 20}`,
+    message: `Motor ${i % 20} overtemperature`,
+    isAlarm: true,
+    confirmationRequired: true,
+    alarmState,
+    timeRaised: time,
+    timeCleared: alarmState === 'Cleared' ? time : null,
+    timeConfirmed: null,
+    snapshot: false,
+  };
+}
+
+/** Prefill + burst: 3 of 4 new alarms, every 4th clears a recent one */
+function makeBurst() {
+  const events = [];
+  let next = MAX_EVENTS;
+  for (let i = 0; i < BURST; i++) {
+    if (i % 4 === 3) {
+      events.push(makeEvent(next - 1 - (i % 50), 'Cleared'));
+    } else {
+      events.push(makeEvent(next++));
+    }
+  }
+  return events;
+}
+
+const prefill = Array.from({ length: MAX_EVENTS }, (_, i) => makeEvent(i));
+const burst = makeBurst();
+
+// ---- context stores ---------------------------------------------------
+
+const stores = {
+  memory: () => () => {}, // global.set() only keeps the reference
+  file: () => (events) => fs.writeFileSync(TMP_FILE, JSON.stringify(events)),
+};
+
+// ---- shared helpers (as in ads-eventlogger-history.js) ----------------
+
+function toISOStr(val) {
+  if (!val) return null;
+  if (val instanceof Date) return val.toISOString();
+  const date = new Date(val);
+  return isNaN(date) ? String(val) : date.toISOString();
+}
+
+function merge(existing, eventPayload, now) {
+  return {
+    ...existing,
+    ...eventPayload,
+    timeCleared: eventPayload.timeCleared || existing.timeCleared || null,
+    timeConfirmed: eventPayload.timeConfirmed || existing.timeConfirmed || null,
+    alarmState: constants.mergeAlarmState(existing.alarmState, eventPayload.alarmState),
+    _receivedAt: now,
+    _updatedAt: now,
+  };
+}
+
+// ---- previous implementation ------------------------------------------
+
+function runLegacy(persist) {
+  let events = prefill.map((e) => ({ ...e }));
+
+  function findExistingIndex(eventPayload) {
+    const incomingTime = toISOStr(eventPayload.timeRaised);
+    for (let i = events.length - 1; i >= 0; i--) {
+      const e = events[i];
+      if (
+        e.target === eventPayload.target &&
+        e.eventClass === eventPayload.eventClass &&
+        e.eventId === eventPayload.eventId &&
+        toISOStr(e.timeRaised) === incomingTime
+      ) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  function addEvent(eventPayload) {
+    const now = new Date().toISOString();
+    const existingIdx = findExistingIndex(eventPayload);
+    if (existingIdx >= 0) {
+      events[existingIdx] = merge(events[existingIdx], eventPayload, now);
+    } else {
+      events.push({ ...eventPayload, _receivedAt: now });
+      if (events.length > MAX_EVENTS) {
+        events = events.slice(events.length - MAX_EVENTS);
+      }
+    }
+    persist(events);
+  }
+
+  const start = process.hrtime.bigint();
+  for (const event of burst) addEvent(event);
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, size: events.length };
+}
+
+// ---- indexed ring buffer ----------------------------------------------
+
+function runStore(persist) {
+  const keyOf = (e) =>
+    `${e.target || ''}|${e.eventClass}|${e.eventId}|${toISOStr(e.timeRaised)}`;
+  const store = createHistoryStore({
+    maxEvents: MAX_EVENTS,
+    keyOf,
+    events: prefill.map((e) => ({ ...e })),
+    persist,
+    persistDelay: 1000,
+  });
+
+  const start = process.hrtime.bigint();
+  for (const eventPayload of burst) {
+    const now = new Date().toISOString();
+    const existing = store.get(keyOf(eventPayload));
+    store.set(existing ? merge(existing, eventPayload, now) : { ...eventPayload, _receivedAt: now });
+  }
+  // The burst ends with one coalesced write
+  store.flush();
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, size: store.size() };
+}
+
+// ---- main -------------------------------------------------------------
+
+function report(name, result) {
+  const rate = Math.round((BURST / result.ms) * 1000);
+  console.log(
+    `  ${name.padEnd(10)} ${result.ms.toFixed(1).padStart(10)} ms  ${String(rate).padStart(10)} events/s  (${result.size} stored)`
+  );
+  return rate;
+}
+
+console.log(`=== History storage benchmark ===`);
+console.log(`Max events: ${MAX_EVENTS}, burst: ${BURST} events\n`);
+
+try {
+  for (const [storeName, createPersist] of Object.entries(stores)) {
+    console.log(`Context store: ${storeName}`);
+    const legacy = report('previous', runLegacy(createPersist()));
+    const indexed = report('indexed', runStore(createPersist()));
+    console.log(`  → ${(indexed / legacy).toFixed(1)}x\n`);
+  }
+} finally {
+  fs.rmSync(TMP_FILE, { force: true });
+}
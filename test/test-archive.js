@@ -0,0 +1,164 @@
+/**
+ * Unit tests for src/eventlogger-archive-ndjson.js,
+ * src/eventlogger-archive-sqlite.js and the archive fallback of the
+ * history node
+ *
+ * The SQLite tests are skipped when the optional dependency better-sqlite3
+ * is not installed.  Verifies:
+ *   1. A query returns the latest state per alarm that matches, in the
+ *      order the alarms were first stored, reduced to `last`
+ *   2. NDJSON: an alarm whose latest line no longer matches is dropped,
+ *      a line cut off by a crash is skipped
+ *   3. The history node reads the archive only for `archive: true` or a
+ *      time range reaching past the in-memory history
+ *
+ * Usage: node --test test/test-archive.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNdjsonArchive } = require('../src/eventlogger-archive-ndjson');
+const { createSqliteArchive } = require('../src/eventlogger-archive-sqlite');
+
+const MOTOR_CLASS = '160d9f14-d97e-4462-afad-ea4cd48296b4';
+
+let sqliteMissing = false;
+try {
+  require.resolve('better-sqlite3');
+} catch (_) {
+  sqliteMissing = 'better-sqlite3 is not installed';
+}
+
+const keyOf = (e) => `${e.target || ''}|${e.eventClass}|${e.eventId}|${e.timeRaised}`;
+
+function alarm(eventId, alarmState, overrides = {}) {
+  return {
+    eventClass: MOTOR_CLASS,
+    eventId,
+    severityLevel: 3,
+    sourceName: `MAIN.fbMotor${eventId}`,
+    isAlarm: true,
+    alarmState,
+    timeRaised: `2026-02-26T0${eventId}:00:00.000Z`,
+    target: '5.80.201.232.1.1',
+    ...overrides,
+  };
+}
+
+// Changes in the order the history node writes them
+const CHANGES = [
+  alarm(1, 'Raised'),
+  alarm(2, 'Raised', { severityLevel: 1 }),
+  alarm(3, 'Raised'),
+  alarm(1, 'Confirmed'),
+  alarm(3, 'Cleared'),
+  alarm(1, 'ClearedAndConfirmed'),
+];
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eventlogger-archive-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const ids = (events) => events.map((e) => `${e.eventId}:${e.alarmState}`);
+
+/** Queries every backend must answer the same way */
+async function assertQueries(archive) {
+  for (const event of CHANGES) archive.append(event);
+
+  assert.deepStrictEqual(ids(await archive.query({})), ['1:ClearedAndConfirmed', '2:Raised', '3:Cleared']);
+  assert.deepStrictEqual(ids(await archive.query({ alarmState: 'Raised' })), ['2:Raised']);
+  assert.deepStrictEqual(ids(await archive.query({ severity: 'Error', last: 1 })), ['3:Cleared']);
+  assert.deepStrictEqual(ids(await archive.query({ since: '2026-02-26T02:00:00Z' })), ['2:Raised', '3:Cleared']);
+}
+
+test('ndjson: latest matching state per alarm', async (t) => {
+  const archive = createNdjsonArchive({ directory: tempDir(t), keyOf });
+  try {
+    await assertQueries(archive);
+  } finally {
+    await archive.close();
+  }
+});
+
+test('ndjson: an alarm that matches again keeps its place, damaged lines are skipped', async (t) => {
+  const directory = tempDir(t);
+  const archive = createNdjsonArchive({ directory, keyOf });
+  try {
+    for (const event of CHANGES) archive.append(event);
+    await archive.query({});
+    const [file] = fs.readdirSync(directory);
+    fs.appendFileSync(path.join(directory, file), '{"eventId": 4, "alarmSt');
+
+    // Alarm 1 is Raised, then Confirmed (dropped), then ClearedAndConfirmed
+    assert.deepStrictEqual(
+      ids(await archive.query({ alarmState: ['Raised', 'ClearedAndConfirmed'] })),
+      ['1:ClearedAndConfirmed', '2:Raised']
+    );
+  } finally {
+    await archive.close();
+  }
+});
+
+test('sqlite: latest matching state per alarm', { skip: sqliteMissing }, async (t) => {
+  const archive = createSqliteArchive({ file: path.join(tempDir(t), 'eventlogger.db'), keyOf });
+  try {
+    await assertQueries(archive);
+  } finally {
+    await archive.close();
+  }
+});
+
+// Minimal Node-RED runtime: enough to create a history node and query it
+function createHistory(t, config) {
+  let ctor;
+  const globals = {};
+  const RED = {
+    settings: { userDir: tempDir(t) },
+    nodes: {
+      createNode(node) {
+        Object.assign(node, EventEmitter.prototype);
+        EventEmitter.call(node);
+        node.status = () => {};
+        node.log = () => {};
+        node.warn = () => {};
+        node.error = () => {};
+        node.context = () => ({
+          global: { get: (key) => globals[key], set: (key, value) => { globals[key] = value; } },
+        });
+      },
+      registerType(name, c) { ctor = c; },
+    },
+  };
+  require('../src/ads-eventlogger-history')(RED);
+  const node = {};
+  ctor.call(node, { contextKey: 'test-archive-history', persistDelay: 0, ...config });
+  t.after(() => new Promise((resolve) => node.emit('close', resolve)));
+  return node;
+}
+
+test('the history node reads the archive only for a time range past memory', async (t) => {
+  const history = createHistory(t, { maxEvents: 2, archiveType: 'ndjson' });
+  for (const eventId of [1, 2, 3]) {
+    await new Promise((resolve, reject) =>
+      history.emit('input', { payload: alarm(eventId, 'Raised') }, () => {}, (err) => (err ? reject(err) : resolve())));
+  }
+
+  const query = async (q) => {
+    const result = await history.queryEvents(q);
+    return { ids: result.events.map((e) => e.eventId), archive: result.archive };
+  };
+
+  // Alarm 1 only survives in the archive
+  assert.deepStrictEqual(await query({}), { ids: [2, 3], archive: null });
+  assert.deepStrictEqual(await query({ last: 5 }), { ids: [2, 3], archive: null });
+  assert.deepStrictEqual(await query({ since: '2026-02-26T02:00:00Z' }), { ids: [2, 3], archive: null });
+  assert.deepStrictEqual(await query({ since: '2026-02-26T01:00:00Z' }), { ids: [1, 2, 3], archive: 'ndjson' });
+  assert.deepStrictEqual(await query({ until: '2026-02-26T01:00:00Z' }), { ids: [1], archive: 'ndjson' });
+  assert.deepStrictEqual(await query({ archive: true }), { ids: [1, 2, 3], archive: 'ndjson' });
+});
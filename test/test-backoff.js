@@ -0,0 +1,92 @@
+/**
+ * Unit tests for src/eventlogger-backoff.js
+ *
+ * Verifies:
+ *   1. Exponential growth capped at maxInterval
+ *   2. Jitter stays within ± jitter of the delay
+ *   3. maxAttempts gives up until reset()
+ *   4. Invalid options fall back to sane values
+ *   5. Status text of a reconnecting target
+ *
+ * Usage: node --test test/test-backoff.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBackoff, retryStatusText } = require('../src/eventlogger-backoff');
+
+function delays(backoff, count) {
+  const result = [];
+  for (let i = 0; i < count; i++) result.push(backoff.next().delay);
+  return result;
+}
+
+test('delays grow by the multiplier and are capped at maxInterval', () => {
+  const backoff = createBackoff({ initialInterval: 1000, multiplier: 2, maxInterval: 10000, jitter: 0 });
+  assert.deepStrictEqual(delays(backoff, 7), [1000, 2000, 4000, 8000, 10000, 10000, 10000]);
+  assert.strictEqual(backoff.getAttempts(), 7);
+});
+
+test('the cap holds for large attempt counts', () => {
+  const backoff = createBackoff({ initialInterval: 2000, multiplier: 3, maxInterval: 60000, jitter: 0 });
+  const all = delays(backoff, 2000);
+  assert.strictEqual(Math.max(...all), 60000);
+  assert.ok(all.every(Number.isFinite));
+});
+
+test('jitter stays within ± jitter of the delay', (t) => {
+  const values = [0, 0.999999, 0.5];
+  t.mock.method(Math, 'random', () => values.shift());
+
+  const backoff = createBackoff({ initialInterval: 1000, multiplier: 1, maxInterval: 1000, jitter: 0.2 });
+  assert.deepStrictEqual(delays(backoff, 3), [800, 1200, 1000]);
+});
+
+test('jitter is applied after the cap', (t) => {
+  t.mock.method(Math, 'random', () => 0.999999);
+  const backoff = createBackoff({ initialInterval: 1000, maxInterval: 4000, jitter: 0.5 });
+  assert.deepStrictEqual(delays(backoff, 5), [1500, 3000, 6000, 6000, 6000]);
+});
+
+test('maxAttempts gives up until reset', () => {
+  const backoff = createBackoff({ initialInterval: 1000, jitter: 0, maxAttempts: 3 });
+  assert.deepStrictEqual(
+    [backoff.next(), backoff.next(), backoff.next()],
+    [{ attempt: 1, delay: 1000 }, { attempt: 2, delay: 2000 }, { attempt: 3, delay: 4000 }]
+  );
+  assert.strictEqual(backoff.isExhausted(), true);
+  assert.strictEqual(backoff.next(), null);
+  assert.strictEqual(backoff.getAttempts(), 3);
+
+  backoff.reset();
+  assert.strictEqual(backoff.isExhausted(), false);
+  assert.deepStrictEqual(backoff.next(), { attempt: 1, delay: 1000 });
+});
+
+test('maxAttempts 0 never gives up', () => {
+  const backoff = createBackoff({ jitter: 0, maxAttempts: 0 });
+  for (let i = 0; i < 100; i++) assert.notStrictEqual(backoff.next(), null);
+  assert.strictEqual(backoff.isExhausted(), false);
+});
+
+test('invalid options fall back to sane values', () => {
+  const defaults = createBackoff({ initialInterval: 'x', multiplier: 'y', maxInterval: 'z', jitter: 0 });
+  assert.deepStrictEqual(delays(defaults, 3), [2000, 4000, 8000]);
+
+  // A multiplier below 1 would shrink the delay, a cap below the first delay is raised to it
+  const clamped = createBackoff({ initialInterval: 5000, multiplier: 0.5, maxInterval: 1000, jitter: 0 });
+  assert.deepStrictEqual(delays(clamped, 3), [5000, 5000, 5000]);
+
+  const wideJitter = createBackoff({ initialInterval: 1000, multiplier: 1, jitter: 5 });
+  assert.ok(delays(wideJitter, 50).every((d) => d >= 0 && d <= 2000));
+});
+
+test('retryStatusText shows the attempt, the limit and the next retry', () => {
+  const nextRetry = new Date(2026, 1, 26, 10, 42, 5);
+  assert.strictEqual(
+    retryStatusText({ attempt: 3, maxAttempts: 10, nextRetry }),
+    'reconnecting #3/10 at 10:42:05'
+  );
+  assert.strictEqual(retryStatusText({ attempt: 3, maxAttempts: 0, nextRetry }), 'reconnecting #3 at 10:42:05');
+  assert.strictEqual(retryStatusText({ attempt: 10, gaveUp: true }), 'gave up after 10 attempts');
+});
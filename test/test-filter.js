@@ -0,0 +1,110 @@
+/**
+ * Unit tests for src/eventlogger-filter.js
+ *
+ * Verifies:
+ *   1. Event ID ranges, including open ranges and invalid specs
+ *   2. Source globs and regular expressions – a g or y flag must not make
+ *      every other event fail to match
+ *   3. First matching rule wins; with an include rule, unmatched events
+ *      are excluded
+ *
+ * Usage: node --test test/test-filter.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const filter = require('../src/eventlogger-filter');
+
+const MOTOR_CLASS = '160d9f14-d97e-4462-afad-ea4cd48296b4';
+const PUMP_CLASS = 'a52c3b12-3f43-4e3a-bb7a-7c1d0e0e8e1f';
+
+function makeEvent(overrides = {}) {
+  return {
+    eventClass: MOTOR_CLASS,
+    eventId: 3,
+    isAlarm: true,
+    alarmState: 'Raised',
+    sourceName: 'MAIN.fbMotor1',
+    ...overrides,
+  };
+}
+
+test('parseIdRanges accepts single IDs and open ranges', () => {
+  assert.deepStrictEqual(filter.parseIdRanges('1-10, 15, 20-, -3'), [[1, 10], [15, 15], [20, Infinity], [0, 3]]);
+  assert.deepStrictEqual(filter.parseIdRanges(' , '), []);
+});
+
+test('parseIdRanges rejects reversed and malformed ranges', () => {
+  assert.throws(() => filter.parseIdRanges('10-1'), /Invalid event ID range "10-1"/);
+  assert.throws(() => filter.parseIdRanges('-'), /Invalid event ID range/);
+  assert.throws(() => filter.parseIdRanges('a-3'), /Invalid event ID range/);
+});
+
+test('source globs are anchored and case-insensitive', () => {
+  const pattern = filter.parseSourcePattern('main.fbMotor?');
+  assert.ok(pattern.test('MAIN.fbMotor1'));
+  assert.ok(!pattern.test('MAIN.fbMotor12'));
+  assert.ok(!pattern.test('MAINxfbMotor1'));
+  assert.ok(filter.parseSourcePattern('MAIN.*').test('MAIN.fbPump'));
+});
+
+test('a source regex with the g or y flag matches every event', () => {
+  for (const spec of ['/^MAIN\\.fbMotor/gi', '/^MAIN\\.fbMotor/y', /^MAIN\.fbMotor/g]) {
+    const rule = filter.compileRule({ source: spec });
+    for (let i = 0; i < 3; i++) {
+      assert.ok(rule.matches(makeEvent()), `${spec} failed on event ${i + 1}`);
+    }
+  }
+  assert.strictEqual(filter.parseSourcePattern('/motor/gi').flags, 'i');
+});
+
+test('an invalid source regex is reported', () => {
+  assert.throws(() => filter.parseSourcePattern('/(/'), /Invalid source regex \/\(\//);
+});
+
+test('compileRule validates action, kind and event class', () => {
+  assert.throws(() => filter.compileRule({ action: 'drop' }), /Invalid filter action "drop"/);
+  assert.throws(() => filter.compileRule({ kind: 'warning' }), /Invalid filter kind "warning"/);
+  assert.throws(() => filter.compileRule({ eventClass: 'not-a-guid' }), /Invalid event class GUID/);
+});
+
+test('all criteria of a rule must match', () => {
+  const rule = filter.compileRule({
+    eventClass: `${PUMP_CLASS}, ${MOTOR_CLASS.toUpperCase()}`,
+    eventIds: '1-5',
+    kind: 'alarm',
+    alarmState: 'raised',
+  });
+  assert.ok(rule.matches(makeEvent()));
+  assert.ok(!rule.matches(makeEvent({ eventId: 6 })));
+  assert.ok(!rule.matches(makeEvent({ isAlarm: false })));
+  assert.ok(!rule.matches(makeEvent({ alarmState: 'Cleared' })));
+  assert.ok(!rule.matches(makeEvent({ eventClass: 'b1f5d0a4-0000-4000-8000-000000000000' })));
+});
+
+test('an empty rule list includes everything', () => {
+  assert.ok(filter.compileRules([]).matches(makeEvent()));
+  assert.ok(filter.compileRules(undefined).matches(makeEvent()));
+});
+
+test('the first matching rule decides', () => {
+  const rules = filter.compileRules([
+    { action: 'exclude', source: 'MAIN.fbMotor2' },
+    { action: 'include', source: 'MAIN.fbMotor*' },
+  ]);
+  assert.ok(rules.matches(makeEvent()));
+  assert.ok(!rules.matches(makeEvent({ sourceName: 'MAIN.fbMotor2' })));
+  // An include rule exists, so events matching no rule are excluded
+  assert.ok(!rules.matches(makeEvent({ sourceName: 'MAIN.fbPump' })));
+});
+
+test('exclude-only lists pass events that match no rule', () => {
+  const rules = filter.compileRules([{ action: 'exclude', kind: 'message' }]);
+  assert.ok(rules.matches(makeEvent()));
+  assert.ok(!rules.matches(makeEvent({ isAlarm: false })));
+});
+
+test('compileRules names the invalid rule', () => {
+  assert.throws(() => filter.compileRules({}), /Filter rules must be an array/);
+  assert.throws(() => filter.compileRules([{}, { eventIds: '5-1' }]), /^Error: Rule 2: Invalid event ID range/);
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for src/eventlogger-format.js
+ *
+ * Verifies:
+ *   1. Topic templates
+ *   2. The flat and ISA-18.2 payloads keep the fields other nodes identify
+ *      events by (eventClass, eventId, timeRaised, alarmState)
+ *   3. subscribe (ISA-18.2 payload) → history: the event is stored, not
+ *      taken for a query
+ *
+ * Usage: node --test test/test-format.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const format = require('../src/eventlogger-format');
+
+function makeEvent(overrides = {}) {
+  return {
+    eventClass: '160d9f14-d97e-4462-afad-ea4cd48296b4',
+    eventId: 3,
+    severity: 'Error',
+    severityLevel: 3,
+    timeRaised: new Date('2026-02-26T09:36:22.400Z'),
+    timeCleared: null,
+    timeConfirmed: null,
+    timeRaisedTicks: '134165722224000000',
+    alarmState: 'Raised',
+    confirmationRequired: true,
+    isAlarm: true,
+    sourceName: 'MAIN.fbMotor',
+    message: 'Motor overtemperature',
+    target: '5.80.201.232.1.1',
+    targetName: 'IPC1',
+    snapshot: false,
+    ...overrides,
+  };
+}
+
+// Minimal Node-RED runtime: enough to create a node and feed it messages
+function createRuntime() {
+  const types = {};
+  const globals = {};
+  const RED = {
+    settings: {},
+    nodes: {
+      createNode(node) {
+        Object.assign(node, EventEmitter.prototype);
+        EventEmitter.call(node);
+        node.status = () => {};
+        node.log = () => {};
+        node.warn = () => {};
+        node.error = () => {};
+        node.context = () => ({
+          global: { get: (key) => globals[key], set: (key, value) => { globals[key] = value; } },
+        });
+      },
+      registerType(name, ctor) { types[name] = ctor; },
+    },
+  };
+  return {
+    RED,
+    create(type, config) {
+      const node = {};
+      types[type].call(node, config);
+      return node;
+    },
+  };
+}
+
+function input(node, msg) {
+  return new Promise((resolve, reject) => {
+    const sent = [];
+    node.emit('input', msg, (m) => sent.push(m), (err) => (err ? reject(err) : resolve(sent)));
+  });
+}
+
+test('renderTopic fills placeholders and renders dates as ISO strings', () => {
+  const event = makeEvent();
+  assert.strictEqual(
+    format.renderTopic('plant/{targetName}/{sourceName}/{timeRaised}/{missing}', event),
+    'plant/IPC1/MAIN.fbMotor/2026-02-26T09:36:22.400Z/'
+  );
+});
+
+test('isa182 payload keeps the identity and state fields', () => {
+  const payload = format.formatPayload(makeEvent(), 'isa182');
+  assert.strictEqual(payload.eventClass, '160d9f14-d97e-4462-afad-ea4cd48296b4');
+  assert.strictEqual(payload.eventId, 3);
+  assert.strictEqual(payload.alarmState, 'Raised');
+  assert.strictEqual(payload.isAlarm, true);
+  assert.strictEqual(payload.severityLevel, 3);
+  assert.strictEqual(payload.severity, 700);
+  assert.strictEqual(payload.state, 'UNACK');
+});
+
+test('flat payload keeps the identity and state fields', () => {
+  const payload = format.formatPayload(makeEvent(), 'flat');
+  assert.strictEqual(payload.eventId, 3);
+  assert.strictEqual(payload.alarmState, 'Raised');
+  assert.strictEqual(payload.timeRaised, '2026-02-26T09:36:22.400Z');
+});
+
+test('subscribe (isa182) → history stores the event', async () => {
+  const runtime = createRuntime();
+  require('../src/ads-eventlogger-history')(runtime.RED);
+  const history = runtime.create('ads-eventlogger-history', {
+    maxEvents: 10,
+    contextKey: 'test-format-history',
+    persistDelay: 0,
+  });
+
+  try {
+    await input(history, { topic: 'MAIN.fbMotor', payload: format.formatPayload(makeEvent(), 'isa182') });
+    await input(history, {
+      topic: 'MAIN.fbMotor',
+      payload: format.formatPayload(makeEvent({ alarmState: 'Cleared', timeCleared: new Date('2026-02-26T09:40:00Z') }), 'isa182'),
+    });
+
+    const [reply] = await input(history, { payload: 'getAll' });
+    assert.strictEqual(reply.payload.length, 1);
+    assert.strictEqual(reply.payload[0].alarmState, 'Cleared');
+    assert.strictEqual(reply.payload[0].conditionId, '160d9f14-d97e-4462-afad-ea4cd48296b4/3');
+  } finally {
+    await new Promise((resolve) => history.emit('close', resolve));
+  }
+});
@@ -0,0 +1,172 @@
+/**
+ * Unit tests for src/eventlogger-history-query.js
+ *
+ * Verifies:
+ *   1. Invalid queries are rejected with a QueryError naming the property
+ *   2. Criteria: severity, source (substring / glob / regex), full text,
+ *      IDs, states, flags and time range
+ *   3. A regex with the g or y flag matches every event, not every other
+ *   4. Shaping: last, sort (missing values last, stable), order, paging
+ *      and the total before paging
+ *
+ * Usage: node --test test/test-history-query.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const query = require('../src/eventlogger-history-query');
+
+const MOTOR_CLASS = '160d9f14-d97e-4462-afad-ea4cd48296b4';
+
+// Oldest first, like the in-memory history
+const EVENTS = [
+  { id: 'a', eventClass: MOTOR_CLASS, eventId: 1, severityLevel: 1, sourceName: 'MAIN.fbMotor1', message: 'Motor started', isAlarm: false, alarmState: 'Raised', timeRaised: '2026-02-26T08:00:00.000Z', target: '5.80.201.232.1.1', targetName: 'IPC1' },
+  { id: 'b', eventClass: MOTOR_CLASS, eventId: 7, severityLevel: 3, sourceName: 'MAIN.fbMotor1', message: 'Motor is too hot', isAlarm: true, alarmState: 'Cleared', timeRaised: '2026-02-26T09:00:00.000Z', timeCleared: '2026-02-26T09:05:00.000Z', target: '5.80.201.232.1.1', targetName: 'IPC1' },
+  { id: 'c', eventClass: MOTOR_CLASS, eventId: 7, severityLevel: 3, sourceName: 'MAIN.fbMotor2', message: 'Motor is too hot', isAlarm: true, alarmState: 'Raised', timeRaised: '2026-02-26T10:00:00.000Z', target: '5.80.201.233.1.1', targetName: 'IPC2' },
+  { id: 'd', eventClass: MOTOR_CLASS, eventId: 12, severityLevel: 4, sourceName: 'MAIN.fbPump', message: 'Pump hot and too dry', isAlarm: true, alarmState: 'Confirmed', timeRaised: '2026-02-26T11:00:00.000Z', timeConfirmed: '2026-02-26T11:01:00.000Z', target: '5.80.201.233.1.1', targetName: 'IPC2' },
+  { id: 'e', eventClass: MOTOR_CLASS, eventId: 20, severityLevel: 2, message: 'No source', isAlarm: true, alarmState: 'Raised', timeRaised: '2026-02-26T12:00:00.000Z' },
+];
+
+const ids = (events) => events.map((e) => e.id).join('');
+const run = (q) => ids(query.filterEvents(EVENTS, q));
+
+function assertInvalid(q, field, pattern) {
+  assert.throws(
+    () => query.compileQuery(q),
+    (err) => {
+      assert.ok(err instanceof query.QueryError, `${err.name}: ${err.message}`);
+      assert.strictEqual(err.code, 'INVALID_QUERY');
+      assert.strictEqual(err.field, field);
+      if (pattern) assert.match(err.message, pattern);
+      return true;
+    }
+  );
+}
+
+test('rejects unknown properties and non-object queries', () => {
+  assertInvalid({ severty: 'Error' }, 'severty', /unknown property/);
+  assertInvalid('getAll', null, /query must be an object/);
+  assertInvalid([], null);
+  assert.deepStrictEqual(query.compileQuery(null).criteria, {});
+});
+
+test('rejects invalid values', () => {
+  assertInvalid({ severity: 'Fatal' }, 'severity', /unknown severity "Fatal"/);
+  assertInvalid({ severityLevel: 5 }, 'severityLevel');
+  assertInvalid({ maxSeverity: -1 }, 'maxSeverity');
+  assertInvalid({ since: 'yesterday' }, 'since', /invalid date/);
+  assertInvalid({ isAlarm: 'true' }, 'isAlarm', /true or false/);
+  assertInvalid({ limit: 2.5 }, 'limit');
+  assertInvalid({ offset: -1 }, 'offset');
+  assertInvalid({ last: 'all' }, 'last');
+  assertInvalid({ order: 'up' }, 'order');
+  assertInvalid({ sort: 1 }, 'sort');
+  assertInvalid({ archive: 'yes' }, 'archive');
+  assertInvalid({ eventId: '9-3' }, 'eventId', /Invalid event ID range/);
+  assertInvalid({ eventId: [1, 'x'] }, 'eventId');
+  assertInvalid({ alarmState: ' , ' }, 'alarmState', /must not be empty/);
+  assertInvalid({ sourceName: 42 }, 'sourceName');
+  assertInvalid({ sourceName: '/(/' }, 'sourceName', /Invalid source regex/);
+  assertInvalid({ message: ['hot'] }, 'message');
+});
+
+test('QueryError serializes to the response error object', () => {
+  const err = new query.QueryError('limit', 'must be an integer');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify({ error: err })).error, {
+    code: 'INVALID_QUERY',
+    field: 'limit',
+    message: 'Invalid query property "limit": must be an integer',
+  });
+});
+
+test('empty criteria are ignored', () => {
+  assert.strictEqual(run({}), 'abcde');
+  assert.strictEqual(run({ severity: '', sourceName: null, eventId: undefined }), 'abcde');
+});
+
+test('severity: minimum, maximum and exact list', () => {
+  assert.strictEqual(run({ severity: 'Error' }), 'bcd');
+  assert.strictEqual(run({ severityLevel: '3' }), 'bcd');
+  assert.strictEqual(run({ maxSeverity: 'warning' }), 'ae');
+  assert.strictEqual(run({ severity: ['Info', 4] }), 'ad');
+  assert.strictEqual(run({ severity: 'Warning', maxSeverity: 3 }), 'bce');
+});
+
+test('sourceName: substring, glob and regex', () => {
+  assert.strictEqual(run({ sourceName: 'fbmotor' }), 'abc');
+  assert.strictEqual(run({ sourceName: 'MAIN.fbMotor?' }), 'abc');
+  assert.strictEqual(run({ sourceName: 'MAIN.fb*1' }), 'ab');
+  assert.strictEqual(run({ sourceName: '/pump$/i' }), 'd');
+  assert.strictEqual(run({ sourceName: /Motor[12]/ }), 'abc');
+});
+
+test('a sourceName regex with the g or y flag matches every event', () => {
+  for (const sourceName of ['/^MAIN/g', '/^MAIN/y', /^MAIN/g, /^MAIN/gy]) {
+    assert.strictEqual(run({ sourceName }), 'abcd', String(sourceName));
+    // Compiled once, applied again: no lastIndex carried over
+    const compiled = query.compileQuery({ sourceName });
+    assert.deepStrictEqual(EVENTS.slice(0, 4).map(compiled.matches), [true, true, true, true]);
+  }
+});
+
+test('message: all words and quoted phrases', () => {
+  assert.strictEqual(run({ message: 'hot' }), 'bcd');
+  assert.strictEqual(run({ message: '"too hot"' }), 'bc');
+  assert.strictEqual(run({ message: 'HOT dry' }), 'd');
+});
+
+test('target, IDs, classes, states and flags', () => {
+  assert.strictEqual(run({ target: 'ipc2' }), 'cd');
+  assert.strictEqual(run({ target: '5.80.201.232.1.1' }), 'ab');
+  assert.strictEqual(run({ eventId: 7 }), 'bc');
+  assert.strictEqual(run({ eventId: [1, 12] }), 'ad');
+  assert.strictEqual(run({ eventId: '10-' }), 'de');
+  assert.strictEqual(run({ eventClass: MOTOR_CLASS.toUpperCase() }), 'abcde');
+  assert.strictEqual(run({ alarmState: 'raised, confirmed' }), 'acde');
+  assert.strictEqual(run({ alarmState: ['Cleared'] }), 'b');
+  assert.strictEqual(run({ isAlarm: false }), 'a');
+  assert.strictEqual(run({ cleared: true }), 'b');
+  assert.strictEqual(run({ confirmed: false, isAlarm: true }), 'bce');
+});
+
+test('since and until are inclusive', () => {
+  assert.strictEqual(run({ since: '2026-02-26T09:00:00Z', until: '2026-02-26T11:00:00Z' }), 'bcd');
+  assert.strictEqual(run({ since: Date.parse('2026-02-26T11:30:00Z') }), 'e');
+  assert.strictEqual(run({ until: new Date('2026-02-26T08:00:00Z') }), 'a');
+});
+
+test('last keeps the most recent matches before sorting', () => {
+  assert.strictEqual(run({ last: 2 }), 'de');
+  assert.strictEqual(run({ isAlarm: true, last: 3, sort: 'severityLevel' }), 'ecd');
+  assert.strictEqual(run({ last: 0 }), 'abcde');
+});
+
+test('sort is stable and puts missing values last in both directions', () => {
+  assert.strictEqual(run({ sort: 'severity' }), 'aebcd');
+  assert.strictEqual(run({ sort: 'severityLevel', order: 'desc' }), 'dbcea');
+  assert.strictEqual(run({ sort: 'sourceName' }), 'abcde');
+  assert.strictEqual(run({ sort: 'sourceName', order: 'DESC' }), 'dcabe');
+  assert.strictEqual(run({ sort: 'timeCleared' }), 'bacde');
+  assert.strictEqual(run({ order: 'desc' }), 'edcba');
+});
+
+test('paging returns one page and the total before paging', () => {
+  assert.deepStrictEqual(
+    (({ events, total }) => [ids(events), total])(query.pageEvents(EVENTS, { order: 'desc', offset: 1, limit: 2 })),
+    ['dc', 5]
+  );
+  assert.strictEqual(run({ offset: 3 }), 'de');
+  assert.strictEqual(run({ offset: 10, limit: 2 }), '');
+  assert.strictEqual(run({ limit: '2' }), 'ab');
+
+  const selected = query.selectEvents(EVENTS, { isAlarm: true, limit: 1 });
+  assert.strictEqual(ids(selected), 'bcde');
+  assert.strictEqual(query.pageEvents(selected, { isAlarm: true, limit: 1 }).total, 4);
+});
+
+test('filterEvents does not modify the input', () => {
+  const copy = [...EVENTS];
+  query.filterEvents(EVENTS, { sort: 'severityLevel', order: 'desc' });
+  query.filterEvents(EVENTS, { order: 'desc' });
+  assert.deepStrictEqual(EVENTS, copy);
+});
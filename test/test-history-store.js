@@ -0,0 +1,171 @@
+/**
+ * Unit tests for src/eventlogger-history-store.js
+ *
+ * Verifies:
+ *   1. Ring buffer wraparound: the oldest entry is overwritten, order is kept
+ *   2. The key index follows replaced and overwritten entries
+ *   3. Loading a history larger than the capacity keeps the newest entries
+ *   4. Coalesced persistence (debounce, burst limit, flush, errors) on
+ *      mocked timers
+ *
+ * Usage: node --test test/test-history-store.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createHistoryStore } = require('../src/eventlogger-history-store');
+
+const keyOf = (event) => `${event.id}`;
+const ids = (store) => store.toArray().map((event) => event.id);
+
+test('appends until full, then overwrites the oldest entry', () => {
+  const store = createHistoryStore({ maxEvents: 3, keyOf });
+
+  for (const id of [1, 2, 3]) assert.strictEqual(store.set({ id }), false);
+  assert.deepStrictEqual(ids(store), [1, 2, 3]);
+
+  store.set({ id: 4 });
+  store.set({ id: 5 });
+  assert.strictEqual(store.size(), 3);
+  assert.deepStrictEqual(ids(store), [3, 4, 5]);
+
+  // Wrap around more than once
+  for (let id = 6; id <= 10; id++) store.set({ id });
+  assert.deepStrictEqual(ids(store), [8, 9, 10]);
+});
+
+test('the index forgets overwritten entries', () => {
+  const store = createHistoryStore({ maxEvents: 2, keyOf });
+  store.set({ id: 1 });
+  store.set({ id: 2 });
+  store.set({ id: 3 });
+
+  assert.strictEqual(store.get('1'), undefined);
+  assert.deepStrictEqual(store.get('3'), { id: 3 });
+
+  // A key that was overwritten is appended again, not replaced
+  assert.strictEqual(store.set({ id: 1 }), false);
+  assert.deepStrictEqual(ids(store), [3, 1]);
+});
+
+test('replacing an entry keeps its position', () => {
+  const store = createHistoryStore({ maxEvents: 3, keyOf });
+  for (let id = 1; id <= 4; id++) store.set({ id });
+
+  assert.strictEqual(store.set({ id: 3, state: 'Cleared' }), true);
+  assert.deepStrictEqual(store.toArray(), [{ id: 2 }, { id: 3, state: 'Cleared' }, { id: 4 }]);
+  assert.deepStrictEqual(store.get('3'), { id: 3, state: 'Cleared' });
+  assert.strictEqual(store.size(), 3);
+});
+
+test('loading a larger history keeps the newest entries', () => {
+  const events = [1, 2, 3, 4, 5].map((id) => ({ id }));
+  const store = createHistoryStore({ maxEvents: 3, keyOf, events });
+
+  assert.deepStrictEqual(ids(store), [3, 4, 5]);
+  assert.strictEqual(store.get('1'), undefined);
+  assert.deepStrictEqual(store.get('5'), { id: 5 });
+});
+
+test('a legacy duplicate key points at the newest copy until it is overwritten', () => {
+  const store = createHistoryStore({ maxEvents: 3, keyOf, events: [{ id: 1, n: 1 }, { id: 2 }, { id: 1, n: 2 }] });
+  assert.deepStrictEqual(store.get('1'), { id: 1, n: 2 });
+
+  // Overwriting the older copy must not drop the key of the newer one
+  store.set({ id: 3 });
+  assert.deepStrictEqual(ids(store), [2, 1, 3]);
+  assert.deepStrictEqual(store.get('1'), { id: 1, n: 2 });
+});
+
+test('clear empties the store and writes immediately', () => {
+  const writes = [];
+  const store = createHistoryStore({ maxEvents: 3, keyOf, persist: (events) => writes.push(events), persistDelay: 1000 });
+  store.set({ id: 1 });
+  store.clear();
+
+  assert.strictEqual(store.size(), 0);
+  assert.strictEqual(store.get('1'), undefined);
+  assert.deepStrictEqual(writes, [[]]);
+  store.close();
+});
+
+test('persistDelay 0 writes on every change', () => {
+  const writes = [];
+  const store = createHistoryStore({ maxEvents: 2, keyOf, persist: (events) => writes.push(events.map((e) => e.id)) });
+  store.set({ id: 1 });
+  store.set({ id: 2 });
+  store.set({ id: 3 });
+  assert.deepStrictEqual(writes, [[1], [1, 2], [2, 3]]);
+});
+
+test('changes within persistDelay are written once', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const writes = [];
+  const store = createHistoryStore({ maxEvents: 10, keyOf, persist: (events) => writes.push(events.map((e) => e.id)), persistDelay: 1000 });
+
+  store.set({ id: 1 });
+  t.mock.timers.tick(500);
+  store.set({ id: 2 });
+  t.mock.timers.tick(999);
+  assert.deepStrictEqual(writes, []);
+  t.mock.timers.tick(1);
+  assert.deepStrictEqual(writes, [[1, 2]]);
+
+  // Nothing changed since, so nothing is written
+  t.mock.timers.tick(5000);
+  store.flush();
+  assert.strictEqual(writes.length, 1);
+  store.close();
+});
+
+test('a continuous burst is written at least every maxPersistDelay', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const writes = [];
+  const store = createHistoryStore({
+    maxEvents: 100,
+    keyOf,
+    persist: (events) => writes.push(events.length),
+    persistDelay: 1000,
+    maxPersistDelay: 3000,
+  });
+
+  // One change every 500 ms would postpone a pure debounce forever
+  for (let id = 1; id <= 12; id++) {
+    store.set({ id });
+    t.mock.timers.tick(500);
+  }
+  assert.deepStrictEqual(writes, [6, 12]);
+  store.close();
+});
+
+test('close writes pending changes and stops the timer', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const writes = [];
+  const store = createHistoryStore({ maxEvents: 10, keyOf, persist: (events) => writes.push(events.length), persistDelay: 1000 });
+
+  store.set({ id: 1 });
+  store.close();
+  assert.deepStrictEqual(writes, [1]);
+  t.mock.timers.tick(5000);
+  assert.deepStrictEqual(writes, [1]);
+});
+
+test('persist errors are reported and do not keep the store dirty', () => {
+  const errors = [];
+  let calls = 0;
+  const store = createHistoryStore({
+    maxEvents: 10,
+    keyOf,
+    persist: () => {
+      calls++;
+      throw new Error('disk full');
+    },
+    onPersistError: (err) => errors.push(err.message),
+  });
+
+  store.set({ id: 1 });
+  store.flush();
+  assert.deepStrictEqual(errors, ['disk full']);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(store.size(), 1);
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for src/ads-eventlogger-lifecycle.js
+ *
+ * Verifies:
+ *   1. One record per finished alarm with durations and the change count
+ *   2. Out-of-order notifications are merged with the tracked state, so a
+ *      late Raised does not undo Cleared and Confirmed then finishes it
+ *   3. A late notification of a finished alarm opens no in-flight entry
+ *   4. Snapshot reconciliation emits the missing alarms as incomplete
+ *
+ * Usage: node --test test/test-lifecycle.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+const TARGET = '5.80.201.232.1.1';
+
+function alarm(alarmState, overrides = {}) {
+  return {
+    eventClass: '160d9f14-d97e-4462-afad-ea4cd48296b4',
+    eventId: 3,
+    severity: 'Error',
+    severityLevel: 3,
+    timeRaised: '2026-02-26T09:36:22.400Z',
+    timeCleared: null,
+    timeConfirmed: null,
+    alarmState,
+    confirmationRequired: true,
+    isAlarm: true,
+    sourceName: 'MAIN.fbMotor',
+    target: TARGET,
+    ...overrides,
+  };
+}
+
+const CLEARED = { timeCleared: '2026-02-26T09:37:22.400Z' };
+const CONFIRMED = { timeConfirmed: '2026-02-26T09:36:27.400Z' };
+
+// Minimal Node-RED runtime: enough to create a lifecycle node
+function createLifecycle(t, config = {}) {
+  let ctor;
+  const RED = {
+    nodes: {
+      createNode(node) {
+        Object.assign(node, EventEmitter.prototype);
+        EventEmitter.call(node);
+        node.status = () => {};
+        node.warn = () => {};
+        node.error = () => {};
+      },
+      registerType(name, c) { ctor = c; },
+    },
+  };
+  require('../src/ads-eventlogger-lifecycle')(RED);
+  const node = {};
+  ctor.call(node, config);
+  t.after(() => new Promise((resolve) => node.emit('close', resolve)));
+  return node;
+}
+
+/** Feed messages, @returns {object[]} the messages sent */
+function input(node, ...payloads) {
+  const sent = [];
+  for (const payload of payloads) {
+    const msg = payload.topic ? payload : { payload };
+    node.emit('input', msg, (m) => sent.push(m), (err) => { if (err) throw err; });
+  }
+  return sent;
+}
+
+function inFlight(node) {
+  const [reply] = input(node, 'getInFlight');
+  return reply.payload;
+}
+
+test('emits one record when the alarm is finished', (t) => {
+  const node = createLifecycle(t);
+  const sent = input(
+    node,
+    alarm('Raised'),
+    alarm('Confirmed', CONFIRMED),
+    alarm('ClearedAndConfirmed', { ...CLEARED, ...CONFIRMED })
+  );
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].topic, 'eventlogger/lifecycle');
+  const record = sent[0].payload;
+  assert.strictEqual(record.finalState, 'ClearedAndConfirmed');
+  assert.strictEqual(record.activeDurationMs, 60000);
+  assert.strictEqual(record.unconfirmedDurationMs, 5000);
+  assert.strictEqual(record.changes, 1);
+  assert.strictEqual(record.complete, true);
+  assert.deepStrictEqual(inFlight(node), []);
+});
+
+test('merges out-of-order notifications with the tracked state', (t) => {
+  const node = createLifecycle(t);
+
+  // Late Raised after Cleared: still Cleared, waiting for confirmation
+  assert.deepStrictEqual(input(node, alarm('Raised'), alarm('Cleared', CLEARED), alarm('Raised')), []);
+  assert.strictEqual(inFlight(node)[0].alarmState, 'Cleared');
+
+  // A plain Confirmed completes it
+  const sent = input(node, alarm('Confirmed', CONFIRMED));
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].payload.finalState, 'ClearedAndConfirmed');
+  assert.strictEqual(sent[0].payload.activeDurationMs, 60000);
+  assert.deepStrictEqual(inFlight(node), []);
+});
+
+test('a late notification of a finished alarm opens no in-flight entry', (t) => {
+  const node = createLifecycle(t);
+  input(node, alarm('Raised'), alarm('ClearedAndConfirmed', { ...CLEARED, ...CONFIRMED }));
+
+  assert.deepStrictEqual(input(node, alarm('Confirmed', CONFIRMED)), []);
+  assert.deepStrictEqual(inFlight(node), []);
+
+  // Another instance of the same event is tracked as usual
+  input(node, alarm('Raised', { timeRaised: '2026-02-26T10:00:00.000Z' }));
+  assert.strictEqual(inFlight(node).length, 1);
+});
+
+test('alarms missing from a snapshot end incomplete', (t) => {
+  const node = createLifecycle(t);
+  input(node, alarm('Raised'), alarm('Raised', { eventId: 4 }));
+
+  const sent = input(node, {
+    topic: 'eventlogger/snapshot',
+    payload: { snapshot: true, target: TARGET, active: [alarm('Raised', { eventId: 4 })] },
+  });
+  assert.deepStrictEqual(sent.map((m) => [m.payload.eventId, m.payload.finalState, m.payload.complete]), [[3, 'Cleared', false]]);
+
+  // The notification of the clear arrives after the snapshot
+  assert.deepStrictEqual(input(node, alarm('Cleared', CLEARED)), []);
+  assert.deepStrictEqual(inFlight(node).map((a) => a.eventId), [4]);
+});
@@ -0,0 +1,276 @@
+/**
+ * Unit tests for src/eventlogger-parser.js
+ *
+ * Entries are built in the Build 4026 layout documented in the parser
+ * header.  Verifies:
+ *   1. Fixed fields, string table and alarm state
+ *   2. Argument decoding and the formatted message
+ *   3. Truncated entries and unknown argument types (undecodedFields)
+ *   4. Notification splitting and heartbeats
+ *   5. The subscribe node drops entries of an unknown header version with
+ *      an error status instead of decoding them with a guessed layout
+ *
+ * Usage: node --test test/test-parser.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const constants = require('../src/eventlogger-constants');
+const parser = require('../src/eventlogger-parser');
+
+const EVENT_CLASS = '160d9f14-d97e-4462-afad-ea4cd48296b4';
+const TIME_RAISED = new Date('2026-02-26T09:36:22.400Z');
+
+function writeGuid(buf, offset, guid) {
+  const hex = guid.replace(/-/g, '');
+  buf.writeUInt32LE(parseInt(hex.slice(0, 8), 16), offset);
+  buf.writeUInt16LE(parseInt(hex.slice(8, 12), 16), offset + 4);
+  buf.writeUInt16LE(parseInt(hex.slice(12, 16), 16), offset + 6);
+  Buffer.from(hex.slice(16), 'hex').copy(buf, offset + 8);
+}
+
+function writeFileTime(buf, offset, date) {
+  if (!date) return;
+  buf.writeBigUInt64LE(BigInt(date.getTime()) * 10000n + 116444736000000000n, offset);
+}
+
+/** One argument: type tag, size, data */
+function arg(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(type, 0);
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data]);
+}
+
+function argBlock(...args) {
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(args.length);
+  return Buffer.concat([count, ...args]);
+}
+
+function makeEntry(o = {}) {
+  const source = Buffer.from(`${o.source ?? 'MAIN.fbMotor'}\0`, 'utf8');
+  const message = Buffer.from(`${o.message ?? 'Motor overtemperature'}\0`, 'utf16le');
+  const args = o.args || Buffer.alloc(0);
+  const buf = Buffer.alloc(160 + source.length + message.length + args.length);
+
+  buf.writeUInt32LE(1, 0);
+  buf.writeUInt16LE(o.messageType ?? constants.MSG_TYPE.ALARM_RAISED, 4);
+  buf.writeUInt32LE(buf.length - parser.HEADER_SIZE, 8);
+  writeGuid(buf, 12, EVENT_CLASS);
+  buf.writeUInt32LE(o.eventId ?? 7, 28);
+  buf.writeUInt8(o.severity ?? constants.SEVERITY.ERROR, 36);
+  buf.writeUInt32LE(o.eventKind ?? 2, 40);
+  buf.writeUInt8(o.raised ?? 1, 52);
+  buf.writeUInt8(o.confirmationState ?? 0, 53);
+  writeFileTime(buf, 60, o.timeRaised ?? TIME_RAISED);
+  writeFileTime(buf, 68, o.timeCleared);
+  writeFileTime(buf, 76, o.timeConfirmed);
+  buf.writeUInt32LE(source.length, 152);
+  buf.writeUInt32LE(message.length, 156);
+  source.copy(buf, 160);
+  message.copy(buf, 160 + source.length);
+  args.copy(buf, 160 + source.length + message.length);
+  return buf;
+}
+
+function makeHeartbeat(sequence) {
+  const buf = Buffer.alloc(parser.HEARTBEAT_SIZE);
+  buf.writeUInt32LE(1, 0);
+  buf.writeUInt16LE(constants.MSG_TYPE.HEARTBEAT, 4);
+  buf.writeUInt32LE(4, 8);
+  buf.writeUInt32LE(sequence, 12);
+  return buf;
+}
+
+test('parses the fixed fields and the string table', () => {
+  const entry = parser.parseEventEntry(makeEntry({ source: 'MAIN.fbMotör' }));
+
+  assert.strictEqual(entry.eventClass, EVENT_CLASS);
+  assert.strictEqual(entry.eventId, 7);
+  assert.strictEqual(entry.severity, 'Error');
+  assert.strictEqual(entry.severityLevel, 3);
+  assert.strictEqual(entry.isAlarm, true);
+  assert.strictEqual(entry.alarmState, 'Raised');
+  assert.strictEqual(entry.timeRaised.toISOString(), TIME_RAISED.toISOString());
+  assert.strictEqual(entry.timeCleared, null);
+  assert.strictEqual(entry.sourceName, 'MAIN.fbMotör');
+  assert.strictEqual(entry.message, 'Motor overtemperature');
+  assert.deepStrictEqual(entry.arguments, []);
+  assert.deepStrictEqual(entry.undecodedFields, []);
+});
+
+test('keeps the full FILETIME precision in the *Ticks fields', () => {
+  const buf = makeEntry();
+  buf.writeBigUInt64LE(buf.readBigUInt64LE(60) + 1234n, 60);
+  const entry = parser.parseEventEntry(buf);
+
+  assert.strictEqual(entry.timeRaisedTicks, (BigInt(TIME_RAISED.getTime()) * 10000n + 116444736000000000n + 1234n).toString());
+  assert.strictEqual(entry.timeRaised.toISOString(), TIME_RAISED.toISOString());
+});
+
+test('derives Cleared from the raised flag and the cleared timestamp', () => {
+  const entry = parser.parseEventEntry(makeEntry({
+    raised: 0,
+    messageType: constants.MSG_TYPE.ALARM_CHANGED,
+    timeCleared: new Date('2026-02-26T09:40:00Z'),
+  }));
+  assert.strictEqual(entry.alarmState, 'Cleared');
+});
+
+test('an unknown severity falls back to Verbose and is reported', () => {
+  const entry = parser.parseEventEntry(makeEntry({ severity: 9 }));
+  assert.strictEqual(entry.severity, 'Verbose');
+  assert.strictEqual(entry.severityRaw, 9);
+  assert.ok(entry.undecodedFields.includes('severity'));
+});
+
+test('decodes arguments and renders the formatted message', () => {
+  const int32 = Buffer.alloc(4);
+  int32.writeInt32LE(-3);
+  const real = Buffer.alloc(4);
+  real.writeFloatLE(92.4);
+  const int64 = Buffer.alloc(8);
+  int64.writeBigInt64LE(2n ** 60n);
+
+  const entry = parser.parseEventEntry(makeEntry({
+    message: 'Motor {0} overtemperature: {1:.1f} °C ({2}, {3}) {4}',
+    args: argBlock(
+      arg(constants.ARG_TYPE.INT32, int32),
+      arg(constants.ARG_TYPE.FLOAT, real),
+      arg(constants.ARG_TYPE.WSTRING, Buffer.from('Pump\0', 'utf16le')),
+      arg(constants.ARG_TYPE.INT64, int64)
+    ),
+  }));
+
+  assert.deepStrictEqual(entry.arguments, [
+    { type: 'Int32', value: -3 },
+    { type: 'Float', value: 92.4 },
+    { type: 'WString', value: 'Pump' },
+    { type: 'Int64', value: (2n ** 60n).toString() },
+  ]);
+  // {4} has no argument and stays as it is
+  assert.strictEqual(
+    entry.formattedMessage,
+    `Motor -3 overtemperature: 92.4 °C (Pump, ${2n ** 60n}) {4}`
+  );
+  assert.deepStrictEqual(entry.undecodedFields, []);
+});
+
+test('reports unknown argument types and truncated argument blocks', () => {
+  const unknown = parser.parseEventEntry(makeEntry({
+    args: argBlock(arg(99, Buffer.from([1, 2]))),
+  }));
+  assert.deepStrictEqual(unknown.arguments, [{ type: 'Unknown(99)', value: null }]);
+  assert.ok(unknown.undecodedFields.includes('arguments[0]'));
+
+  const full = argBlock(arg(constants.ARG_TYPE.DOUBLE, Buffer.alloc(8)));
+  const truncated = parser.parseEventEntry(makeEntry({ args: full.subarray(0, full.length - 3) }));
+  assert.deepStrictEqual(truncated.arguments, []);
+  assert.ok(truncated.undecodedFields.includes('arguments'));
+});
+
+test('decodes what it can of a truncated message', () => {
+  const buf = makeEntry({ message: 'Motor overtemperature' });
+  const entry = parser.parseEventEntry(buf.subarray(0, buf.length - 10));
+
+  assert.strictEqual(entry.sourceName, 'MAIN.fbMotor');
+  assert.ok('Motor overtemperature'.startsWith(entry.message));
+  assert.ok(entry.message.length > 0);
+  assert.ok(entry.undecodedFields.includes('message'));
+});
+
+test('rejects entries shorter than the fixed part', () => {
+  assert.strictEqual(parser.parseEventEntry(Buffer.alloc(parser.MIN_EVENT_SIZE - 1)), null);
+});
+
+test('picks the layout by header version and rejects unknown versions', () => {
+  assert.strictEqual(parser.layoutOf(makeEntry()).id, '4026');
+  assert.strictEqual(parser.parseEventEntry(makeEntry()).layout, '4026');
+
+  const otherVersion = makeEntry();
+  otherVersion.writeUInt32LE(2, 0);
+  assert.strictEqual(parser.layoutOf(otherVersion), null);
+  assert.strictEqual(parser.parseEventEntry(otherVersion), null);
+});
+
+test('splits a notification into its entries and skips the padding', () => {
+  const first = makeEntry({ eventId: 1 });
+  const second = makeEntry({ eventId: 2, source: 'MAIN.fbPump' });
+  const buffer = Buffer.alloc(constants.SUBSCRIBE_BUFFER_SIZE);
+  Buffer.concat([makeHeartbeat(5), first, second]).copy(buffer);
+
+  const { entries, truncated } = parser.splitNotification(buffer);
+  assert.strictEqual(truncated, null);
+  assert.strictEqual(entries.length, 3);
+  assert.ok(parser.isHeartbeat(entries[0]));
+  assert.strictEqual(parser.parseHeartbeat(entries[0]).sequence, 5);
+
+  const events = entries.filter((e) => !parser.isHeartbeat(e)).map((e) => parser.parseEventEntry(e));
+  assert.deepStrictEqual(events.map((e) => [e.eventId, e.sourceName]), [[1, 'MAIN.fbMotor'], [2, 'MAIN.fbPump']]);
+});
+
+test('reports a trailing entry cut off at the end of the buffer', () => {
+  const first = makeEntry({ eventId: 1 });
+  const second = makeEntry({ eventId: 2 });
+  const buffer = Buffer.concat([first, second]).subarray(0, first.length + 100);
+
+  const { entries, truncated } = parser.splitNotification(buffer);
+  assert.strictEqual(entries.length, 1);
+  assert.deepStrictEqual(
+    { offset: truncated.offset, expected: truncated.expected, available: truncated.available },
+    { offset: first.length, expected: second.length, available: 100 }
+  );
+  assert.strictEqual(parser.parseEventEntry(truncated.data).eventId, 2);
+});
+
+// Subscribe node with a connection stub that delivers notifications
+function createSubscribe() {
+  const emitter = new EventEmitter();
+  const connection = {
+    getEventEmitter: () => emitter,
+    isConnected: () => false,
+    isConnecting: () => false,
+    getTargetStates: () => [],
+    resolveEventText: () => null,
+    addSubscriber: async () => {},
+    removeSubscriber: async () => {},
+  };
+  const node = { sent: [], statuses: [], errors: [] };
+  const RED = {
+    nodes: {
+      createNode(n) {
+        Object.assign(n, EventEmitter.prototype);
+        EventEmitter.call(n);
+        n.status = (s) => n.statuses.push(s);
+        n.log = () => {};
+        n.warn = () => {};
+        n.error = (e) => n.errors.push(e);
+        n.send = (m) => n.sent.push(m);
+      },
+      getNode: () => connection,
+      registerType(name, ctor) { ctor.call(node, { connection: 'conn' }); },
+    },
+  };
+  require('../src/ads-eventlogger-subscribe')(RED);
+  return { node, deliver: (buffer) => emitter.emit('eventData', buffer, null) };
+}
+
+test('the subscribe node rejects entries of an unknown layout version', () => {
+  const { node, deliver } = createSubscribe();
+  const unknown = makeEntry({ eventId: 1 });
+  unknown.writeUInt32LE(2, 0);
+
+  deliver(unknown);
+  deliver(unknown);
+  assert.strictEqual(node.sent.length, 0);
+  assert.deepStrictEqual(node.statuses.at(-1), {
+    fill: 'red', shape: 'dot', text: 'unsupported event layout (version 2)',
+  });
+  assert.strictEqual(node.errors.length, 1);
+
+  deliver(makeEntry({ eventId: 2 }));
+  assert.strictEqual(node.sent.length, 1);
+  assert.strictEqual(node.sent[0].payload.eventId, 2);
+});
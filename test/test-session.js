@@ -0,0 +1,225 @@
+/**
+ * Unit tests for src/eventlogger-session.js
+ *
+ * ads-client is replaced by a fake client, so no target is needed.
+ * Verifies:
+ *   1. The active alarms are read again after a reconnect (experimental
+ *      snapshot) and emitted as a snapshot notification
+ *   2. They are not read when the option is off
+ *   3. A response that does not hold the announced entries is discarded
+ *   4. The heartbeat watchdog recreates a subscription that never delivers
+ *      a heartbeat, and uses the measured interval once it is known
+ *
+ * Usage: node --test test/test-session.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const ads = require('ads-client');
+const constants = require('../src/eventlogger-constants');
+const parser = require('../src/eventlogger-parser');
+const { createTargetSession } = require('../src/eventlogger-session');
+
+/** Event entry in the Build 4026 layout without strings */
+function makeEntry(eventId) {
+  const buf = Buffer.alloc(160);
+  buf.writeUInt32LE(1, 0);
+  buf.writeUInt16LE(constants.MSG_TYPE.ALARM_RAISED, 4);
+  buf.writeUInt32LE(buf.length - parser.HEADER_SIZE, 8);
+  buf.writeUInt32LE(eventId, 28);
+  buf.writeUInt32LE(2, 40);
+  buf.writeUInt8(1, 52);
+  return buf;
+}
+
+/** Active alarm list: UINT32 count, then the entries */
+function alarmList(count, ...entries) {
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(count);
+  return Buffer.concat([header, ...entries]);
+}
+
+function makeHeartbeat(sequence) {
+  const buf = Buffer.alloc(parser.HEARTBEAT_SIZE);
+  buf.writeUInt32LE(1, 0);
+  buf.writeUInt16LE(constants.MSG_TYPE.HEARTBEAT, 4);
+  buf.writeUInt32LE(4, 8);
+  buf.writeUInt32LE(sequence, 12);
+  return buf;
+}
+
+/**
+ * Stands in for ads-client: connects at once, readRaw() answers `response`.
+ * `subscriptions` holds the notification callback of each subscribeRaw().
+ */
+function mockClient(t, response) {
+  const clients = [];
+  const reads = [];
+  const subscriptions = [];
+  class FakeClient extends EventEmitter {
+    constructor() {
+      super();
+      this.connection = { connected: false };
+      clients.push(this);
+    }
+    async connect() {
+      this.connection.connected = true;
+      this.emit('connect');
+      return {};
+    }
+    async disconnect() {
+      this.connection.connected = false;
+    }
+    async subscribeRaw(indexGroup, indexOffset, size, callback) {
+      subscriptions.push(callback);
+      return { unsubscribe: async () => {} };
+    }
+    async readRaw(indexGroup, indexOffset, size) {
+      reads.push({ indexGroup, indexOffset, size });
+      return response;
+    }
+  }
+  const { Client } = ads;
+  ads.Client = FakeClient;
+  t.after(() => { ads.Client = Client; });
+  return { clients, reads, subscriptions };
+}
+
+function createSession(options = {}) {
+  const emitter = new EventEmitter();
+  const snapshots = [];
+  const warnings = [];
+  emitter.on('eventData', (data) => {
+    if (data.snapshot) snapshots.push(data.value);
+  });
+  const session = createTargetSession({
+    amsNetId: '5.80.201.232.1.1',
+    settings: { targetAdsPort: constants.ADS_PORT_EVENTLOGGER },
+    autoReconnect: false,
+    backoff: {},
+    watchdogIntervals: 0,
+    readActiveAlarms: true,
+    emitter,
+    hasSubscribers: () => true,
+    onStateChange: () => {},
+    formatError: (err) => err,
+    logger: { log: () => {}, warn: (msg) => warnings.push(msg) },
+    ...options,
+  });
+  return { session, snapshots, warnings };
+}
+
+/** Let the subscribe / read promises started by a connect event settle */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('reads the active alarms again after a reconnect', async (t) => {
+  const { clients, reads } = mockClient(t, alarmList(2, makeEntry(1), makeEntry(2)));
+  const { session, snapshots } = createSession();
+
+  try {
+    await session.connect();
+    await settle();
+    assert.strictEqual(snapshots.length, 1);
+
+    // Connection drops and comes back: the subscription is recreated and
+    // the list read again
+    const client = clients[0];
+    client.connection.connected = false;
+    client.emit('disconnect');
+    client.connection.connected = true;
+    client.emit('connect');
+    await settle();
+
+    assert.strictEqual(snapshots.length, 2);
+    assert.deepStrictEqual(reads[1], {
+      indexGroup: constants.ACTIVE_ALARMS_INDEX_GROUP,
+      indexOffset: constants.ACTIVE_ALARMS_INDEX_OFFSET,
+      size: constants.ACTIVE_ALARMS_BUFFER_SIZE,
+    });
+
+    const events = parser.splitNotification(snapshots[1]).entries.map((e) => parser.parseEventEntry(e));
+    assert.deepStrictEqual(events.map((e) => e.eventId), [1, 2]);
+  } finally {
+    await session.close();
+  }
+});
+
+test('does not read the active alarms when the option is off', async (t) => {
+  const { reads } = mockClient(t, alarmList(1, makeEntry(1)));
+  const { session, snapshots } = createSession({ readActiveAlarms: false });
+
+  try {
+    await session.connect();
+    await settle();
+    assert.strictEqual(reads.length, 0);
+    assert.strictEqual(snapshots.length, 0);
+  } finally {
+    await session.close();
+  }
+});
+
+test('discards a response that does not hold the announced entries', async (t) => {
+  mockClient(t, alarmList(3, makeEntry(1)));
+  const { session, snapshots, warnings } = createSession();
+
+  try {
+    await session.connect();
+    await settle();
+    assert.strictEqual(snapshots.length, 0);
+    assert.match(warnings.join('\n'), /3 announced, 1 found/);
+  } finally {
+    await session.close();
+  }
+});
+
+test('the watchdog recreates a subscription that never delivers a heartbeat', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { subscriptions } = mockClient(t);
+  const { session, warnings } = createSession({ readActiveAlarms: false, watchdogIntervals: 3 });
+
+  try {
+    await session.connect();
+    await settle();
+    assert.strictEqual(subscriptions.length, 1);
+
+    t.mock.timers.tick(3 * constants.INITIAL_HEARTBEAT_INTERVAL - 1);
+    await settle();
+    assert.strictEqual(subscriptions.length, 1);
+
+    t.mock.timers.tick(1);
+    await settle();
+    assert.strictEqual(subscriptions.length, 2);
+    assert.strictEqual(session.stale, true);
+    assert.match(warnings.join('\n'), /No EventLogger heartbeat received yet/);
+  } finally {
+    await session.close();
+  }
+});
+
+test('the watchdog uses the measured heartbeat interval', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { subscriptions } = mockClient(t);
+  const { session } = createSession({ readActiveAlarms: false, watchdogIntervals: 3 });
+
+  try {
+    await session.connect();
+    await settle();
+    const notify = (sequence) => subscriptions[0]({ timestamp: new Date(), value: makeHeartbeat(sequence) });
+
+    notify(1);
+    t.mock.timers.tick(1000);
+    notify(2);
+    assert.strictEqual(session.heartbeatInterval, 1000);
+
+    t.mock.timers.tick(2999);
+    await settle();
+    assert.strictEqual(subscriptions.length, 1);
+
+    t.mock.timers.tick(1);
+    await settle();
+    assert.strictEqual(subscriptions.length, 2);
+  } finally {
+    await session.close();
+  }
+});
@@ -0,0 +1,297 @@
+/**
+ * Unit tests for src/eventlogger-suppression.js
+ *
+ * Runs on mocked timers (setTimeout and Date).  Verifies:
+ *   1. Chattering starts with the raise above the limit, suppresses all
+ *      notifications of that alarm and ends after a quiet window
+ *   2. Raises spread over more than one window do not chatter
+ *   3. Flood: events above the per-second limit are suppressed and rolled
+ *      up once a full second passes without suppression
+ *   4. Snapshot events always pass
+ *   5. Subscribe node: the state a chattering alarm settled in is sent when
+ *      chattering ends, but not while the node is paused or filters it out
+ *
+ * Usage: node --test test/test-suppression.js
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const constants = require('../src/eventlogger-constants');
+const parser = require('../src/eventlogger-parser');
+const { createSuppressor } = require('../src/eventlogger-suppression');
+
+function makeEvent(overrides = {}) {
+  return {
+    eventClass: '160d9f14-d97e-4462-afad-ea4cd48296b4',
+    eventId: 3,
+    severity: 'Error',
+    isAlarm: true,
+    alarmState: 'Raised',
+    sourceName: 'MAIN.fbMotor1',
+    target: '5.80.201.232.1.1',
+    ...overrides,
+  };
+}
+
+function createRecorder(options) {
+  const calls = [];
+  const suppressor = createSuppressor({
+    ...options,
+    onChatterStart: (info) => calls.push(['chatterStart', info]),
+    onChatterEnd: (info, last) => calls.push(['chatterEnd', info, last]),
+    onFloodStart: (info) => calls.push(['floodStart', info]),
+    onFloodEnd: (rollup) => calls.push(['floodEnd', rollup]),
+  });
+  return { suppressor, calls };
+}
+
+test('an alarm raised more than chatterCycles times within the window chatters', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { suppressor, calls } = createRecorder({ chatterCycles: 2, chatterWindow: 10000 });
+
+  try {
+    assert.strictEqual(suppressor.check(makeEvent()), true);
+    assert.strictEqual(suppressor.check(makeEvent({ alarmState: 'Cleared' })), true);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(suppressor.check(makeEvent()), true);
+    t.mock.timers.tick(1000);
+
+    // Third raise within 10 s
+    assert.strictEqual(suppressor.check(makeEvent()), false);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0][0], 'chatterStart');
+    assert.strictEqual(calls[0][1].cycles, 3);
+
+    // Everything of that alarm is suppressed now, other alarms pass
+    assert.strictEqual(suppressor.check(makeEvent({ alarmState: 'Cleared' })), false);
+    assert.strictEqual(suppressor.check(makeEvent({ eventId: 4 })), true);
+    assert.strictEqual(suppressor.check(makeEvent({ target: '5.80.201.233.1.1' })), true);
+    assert.strictEqual(suppressor.getState().chattering[0].suppressed, 2);
+
+    // Quiet for a full window
+    t.mock.timers.tick(10000);
+    assert.strictEqual(calls.length, 2);
+    const [name, info, last] = calls[1];
+    assert.strictEqual(name, 'chatterEnd');
+    assert.deepStrictEqual(
+      { suppressed: info.suppressed, raised: info.raised, cleared: info.cleared, alarmState: info.alarmState, durationMs: info.durationMs },
+      { suppressed: 2, raised: 1, cleared: 1, alarmState: 'Cleared', durationMs: 10000 }
+    );
+    assert.strictEqual(last.alarmState, 'Cleared');
+    assert.deepStrictEqual(suppressor.getState().chattering, []);
+
+    assert.strictEqual(suppressor.check(makeEvent()), true);
+  } finally {
+    suppressor.close();
+  }
+});
+
+test('each suppressed notification restarts the quiet window', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { suppressor, calls } = createRecorder({ chatterCycles: 1, chatterWindow: 5000 });
+
+  try {
+    suppressor.check(makeEvent());
+    assert.strictEqual(suppressor.check(makeEvent()), false);
+    t.mock.timers.tick(4000);
+    assert.strictEqual(suppressor.check(makeEvent({ alarmState: 'Cleared' })), false);
+    t.mock.timers.tick(4000);
+    assert.deepStrictEqual(calls.map(([name]) => name), ['chatterStart']);
+    t.mock.timers.tick(1000);
+    assert.deepStrictEqual(calls.map(([name]) => name), ['chatterStart', 'chatterEnd']);
+  } finally {
+    suppressor.close();
+  }
+});
+
+test('raises spread over more than one window do not chatter', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { suppressor, calls } = createRecorder({ chatterCycles: 2, chatterWindow: 10000 });
+
+  try {
+    for (let i = 0; i < 6; i++) {
+      assert.strictEqual(suppressor.check(makeEvent()), true);
+      t.mock.timers.tick(6000);
+    }
+    assert.deepStrictEqual(calls, []);
+  } finally {
+    suppressor.close();
+  }
+});
+
+test('events above the flood limit are suppressed and rolled up', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { suppressor, calls } = createRecorder({ floodLimit: 3 });
+
+  try {
+    const passed = [];
+    for (let i = 0; i < 6; i++) {
+      passed.push(suppressor.check(makeEvent({ eventId: i, isAlarm: i % 2 === 0, severity: i < 4 ? 'Error' : 'Info' })));
+    }
+    assert.deepStrictEqual(passed, [true, true, true, false, false, false]);
+    assert.deepStrictEqual(calls.map(([name]) => name), ['floodStart']);
+    assert.strictEqual(suppressor.getState().flood.suppressed, 3);
+
+    // Still suppressing: the window of the passed events has not expired
+    t.mock.timers.tick(500);
+    assert.strictEqual(suppressor.check(makeEvent({ eventId: 10 })), false);
+
+    // One second after the last suppression the flood is over
+    t.mock.timers.tick(500);
+    assert.strictEqual(calls.length, 1);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(calls.length, 2);
+    const [name, rollup] = calls[1];
+    assert.strictEqual(name, 'floodEnd');
+    assert.deepStrictEqual(
+      {
+        limit: rollup.limit,
+        suppressed: rollup.suppressed,
+        bySeverity: rollup.bySeverity,
+        alarms: rollup.alarms,
+        messages: rollup.messages,
+        durationMs: rollup.durationMs,
+      },
+      { limit: 3, suppressed: 4, bySeverity: { Error: 2, Info: 2 }, alarms: 2, messages: 2, durationMs: 500 }
+    );
+    assert.strictEqual(suppressor.getState().flood, null);
+    assert.strictEqual(suppressor.check(makeEvent()), true);
+  } finally {
+    suppressor.close();
+  }
+});
+
+test('snapshot events always pass', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { suppressor, calls } = createRecorder({ chatterCycles: 1, floodLimit: 1 });
+
+  try {
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual(suppressor.check(makeEvent({ snapshot: true })), true);
+    }
+    assert.deepStrictEqual(calls, []);
+  } finally {
+    suppressor.close();
+  }
+});
+
+test('close stops the timers without firing the end callbacks', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { suppressor, calls } = createRecorder({ chatterCycles: 1, floodLimit: 1 });
+
+  suppressor.check(makeEvent());
+  suppressor.check(makeEvent());
+  suppressor.check(makeEvent({ isAlarm: false }));
+  suppressor.close();
+  t.mock.timers.tick(60000);
+
+  assert.deepStrictEqual(calls.map(([name]) => name), ['chatterStart', 'floodStart']);
+  assert.deepStrictEqual(suppressor.getState(), { chattering: [], flood: null });
+});
+
+/** Alarm entry in the Build 4026 layout without strings */
+function makeEntry(raised) {
+  const buf = Buffer.alloc(160);
+  buf.writeUInt32LE(1, 0);
+  buf.writeUInt16LE(raised ? constants.MSG_TYPE.ALARM_RAISED : constants.MSG_TYPE.ALARM_CHANGED, 4);
+  buf.writeUInt32LE(buf.length - parser.HEADER_SIZE, 8);
+  buf.writeUInt32LE(3, 28);
+  buf.writeUInt8(constants.SEVERITY.ERROR, 36);
+  buf.writeUInt32LE(2, 40);
+  buf.writeUInt8(raised ? 1 : 0, 52);
+  buf.writeBigUInt64LE(134165722224000000n, 60);
+  if (!raised) buf.writeBigUInt64LE(134165722824000000n, 68);
+  return buf;
+}
+
+// Subscribe node with a connection stub that delivers notifications
+function createSubscribe(config) {
+  const emitter = new EventEmitter();
+  const connection = {
+    getEventEmitter: () => emitter,
+    isConnected: () => false,
+    isConnecting: () => false,
+    getTargetStates: () => [],
+    resolveEventText: () => null,
+    addSubscriber: async () => {},
+    removeSubscriber: async () => {},
+  };
+  const node = { sent: [] };
+  const RED = {
+    nodes: {
+      createNode(n) {
+        Object.assign(n, EventEmitter.prototype);
+        EventEmitter.call(n);
+        n.status = () => {};
+        n.log = () => {};
+        n.warn = () => {};
+        n.error = () => {};
+        n.send = (m) => n.sent.push(m);
+      },
+      getNode: () => connection,
+      registerType(name, ctor) { ctor.call(node, { connection: 'conn', ...config }); },
+    },
+  };
+  require('../src/ads-eventlogger-subscribe')(RED);
+  return {
+    node,
+    deliver: (buffer) => emitter.emit('eventData', buffer, null),
+    command: (payload) => node.emit('input', { payload }, () => {}, () => {}),
+    close: () => new Promise((resolve) => node.emit('close', resolve)),
+  };
+}
+
+/** Raise the alarm three times and clear it – chatters with chatterCycles 2 */
+function chatter(subscribe) {
+  for (let i = 0; i < 3; i++) {
+    subscribe.deliver(makeEntry(true));
+    subscribe.deliver(makeEntry(false));
+  }
+}
+
+const summary = (subscribe) =>
+  subscribe.node.sent.map((m) => (m.topic === 'eventlogger/chattering' ? `chattering:${m.payload.chattering}` : m.payload.alarmState));
+
+test('subscribe: the settled state is sent when chattering ends', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const subscribe = createSubscribe({ chatterCycles: 2, chatterWindow: 10 });
+
+  try {
+    chatter(subscribe);
+    t.mock.timers.tick(10000);
+    assert.deepStrictEqual(summary(subscribe), [
+      'Raised', 'Cleared', 'Raised', 'Cleared', 'chattering:true', 'chattering:false', 'Cleared',
+    ]);
+  } finally {
+    await subscribe.close();
+  }
+});
+
+test('subscribe: a paused node does not send the settled state', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const subscribe = createSubscribe({ chatterCycles: 2, chatterWindow: 10 });
+
+  try {
+    chatter(subscribe);
+    subscribe.command('pause');
+    t.mock.timers.tick(10000);
+    assert.deepStrictEqual(summary(subscribe).slice(4), ['chattering:true', 'chattering:false']);
+  } finally {
+    await subscribe.close();
+  }
+});
+
+test('subscribe: a settled state filtered out since is not sent', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const subscribe = createSubscribe({ chatterCycles: 2, chatterWindow: 10 });
+
+  try {
+    chatter(subscribe);
+    subscribe.command({ command: 'setFilter', minSeverity: 'Critical' });
+    t.mock.timers.tick(10000);
+    assert.deepStrictEqual(summary(subscribe).slice(4), ['chattering:true', 'chattering:false']);
+  } finally {
+    await subscribe.close();
+  }
+});